@@ -53,6 +53,16 @@ export function removeCRSForFile(fileKey) {
     notify();
 }
 
+/**
+ * Get the CRS attributes recorded for one file.
+ * @param {string} fileKey
+ * @returns {object|null} copy of the info passed to setCRS, or null if none
+ */
+export function getCRSForFile(fileKey) {
+    const entry = crsEntries.get(fileKey);
+    return entry ? { ...entry.info } : null;
+}
+
 /** Get the current CRS display name (derived from all loaded files). */
 export function getCRSName() {
     if (crsEntries.size === 0) return null; // no files loaded
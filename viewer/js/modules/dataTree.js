@@ -4,10 +4,12 @@
  * Supports collapsible groups, visibility toggles, and metadata selection.
  */
 
-import { getFiles, toggleVisibility, setGroupVisibility, findFile, removeFile, removeObject, onStoreChange, getStyle, setStyle, renameFile, renameObject } from './sceneData.js';
-import { exportFileXML, setDisplayMode } from './fileHandler.js';
+import { getFiles, toggleVisibility, setGroupVisibility, findFile, removeFile, removeObject, onStoreChange, getStyle, setStyle, renameFile, renameObject, toggleOverlay } from './sceneData.js';
+import { exportFileXML, exportFileGeoJSON, exportGLB, GEOJSON_EXPORT_TYPES, LANDXML_SURFACE_TYPES, setDisplayMode } from './fileHandler.js';
 
 const CONTOUR_TYPES = new Set(['Surface', 'DEM']);
+// Overlays listed as their own toggleable sub-group row beneath the object (others get a row button)
+const SUBGROUP_OVERLAYS = { crossSections: 'Cross Sections' };
 import { shouldConfirmDelete } from './settingsManager.js';
 
 // Inline SVG icons (14×14, currentColor)
@@ -18,8 +20,24 @@ const svgTrash = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" st
 
 const svgFile = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg>`;
 const svgSave = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"/><polyline points="17 21 17 13 7 13 7 21"/><polyline points="7 3 7 8 15 8"/></svg>`;
+const svgBreaklines = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="2 18 8 9 13 14 22 5"/><circle cx="8" cy="9" r="1.5"/><circle cx="13" cy="14" r="1.5"/></svg>`;
+const svgFlow = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="3" y1="12" x2="19" y2="12"/><polyline points="13 6 19 12 13 18"/></svg>`;
+const svgPalette = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="9"/><circle cx="8" cy="10" r="1.5"/><circle cx="12" cy="7.5" r="1.5"/><circle cx="16" cy="10" r="1.5"/><path d="M12 21a3 3 0 0 1 0-6h2"/></svg>`;
+const svgGlobe = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><line x1="2" y1="12" x2="22" y2="12"/><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/></svg>`;
+const svgImage = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg>`;
+const svgShading = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="9"/><path d="M12 3a9 9 0 0 1 0 18z" fill="currentColor" fill-opacity="0.35"/></svg>`;
+const svgCube = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2 21 7v10l-9 5-9-5V7z"/><polyline points="3 7 12 12 21 7"/><line x1="12" y1="12" x2="12" y2="22"/></svg>`;
 const svgContour = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 12 Q6 6 12 8 Q18 10 21 6"/><path d="M3 17 Q6 11 12 13 Q18 15 21 11"/><path d="M3 7 Q6 3 12 4 Q18 5 21 3"/></svg>`;
 
+const COLOR_MODE_LABELS = { elevation: 'Elevation', rgb: 'RGB', classification: 'Classification' };
+
+// Overlays toggled from a button on the object row
+const OVERLAY_BUTTONS = {
+    breaklines: { title: 'Toggle breaklines', icon: svgBreaklines },
+    flowArrows: { title: 'Toggle flow arrows', icon: svgFlow },
+    imagery:    { title: 'Toggle draped imagery', icon: svgImage },
+};
+
 let selectedId = null;   // can be an obj id or file id
 let onSelect = null;
 let onJumpTo = null;
@@ -81,6 +99,10 @@ function render() {
             html += `    <span class="tree-label">${esc(file.name)}</span>`;
             html += `    <span class="tree-row-actions">`;
             html += `      <button class="tree-color-swatch" data-obj-id="${obj.id}" title="Object color" style="background:${swatchColorDEM}"></button>`;
+            html += shadingButton(obj, '      ');
+            html += overlayButtons(obj, '      ');
+            html += `      <button class="tree-save" data-file-id="${file.id}" title="Export as LandXML surface">${svgSave}</button>`;
+            html += `      <button class="tree-save tree-glb" data-file-id="${file.id}" title="Export as GLB">${svgCube}</button>`;
             html += `      <button class="tree-jumpto" data-obj-id="${obj.id}" title="Jump to object">${svgTarget}</button>`;
             html += `      <span class="tree-visibility" data-obj-id="${obj.id}" title="Toggle visibility">${visIcon}</span>`;
             html += `      <button class="tree-delete" data-file-id="${file.id}" title="Delete file">${svgTrash}</button>`;
@@ -95,7 +117,10 @@ function render() {
             html += `    <span class="tree-toggle">▼</span>`;
             html += `    <span class="tree-label tree-label-rename" data-rename-file-id="${file.id}" title="Double-click to rename">${esc(file.name)}</span>`;
             html += `    <span class="tree-row-actions">`;
-            if (file.xmlDoc) html += `      <button class="tree-save" data-file-id="${file.id}" title="Save/export XML">${svgSave}</button>`;
+            if (file.xmlText || file.xmlDoc) html += `      <button class="tree-save" data-file-id="${file.id}" title="Save/export XML">${svgSave}</button>`;
+            else if (LANDXML_SURFACE_TYPES.some(t => file.groups[t]?.length)) html += `      <button class="tree-save" data-file-id="${file.id}" title="Export surfaces as LandXML">${svgSave}</button>`;
+            if (GEOJSON_EXPORT_TYPES.some(t => file.groups[t]?.length)) html += `      <button class="tree-save tree-geojson" data-file-id="${file.id}" title="Export alignments and feature lines as GeoJSON">${svgGlobe}</button>`;
+            html += `      <button class="tree-save tree-glb" data-file-id="${file.id}" title="Export file as GLB">${svgCube}</button>`;
             html += `      <button class="tree-delete" data-file-id="${file.id}" title="Delete file">${svgTrash}</button>`;
             html += `    </span>`;
             html += `  </div>`;
@@ -103,7 +128,8 @@ function render() {
 
             const GROUP_LABELS = {
                 Surface: 'Surfaces', DEM: 'DEMs', PipeNetwork: 'Pipe Networks',
-                Alignment: 'Alignments', FeatureLine: 'Feature Lines',
+                Alignment: 'Alignments', FeatureLine: 'Feature Lines', Points: 'Points',
+                Parcel: 'Parcels', Polygon: 'Polygons', Model: 'Models', PointCloud: 'Point Clouds', Imagery: 'Imagery',
             };
             const groupEntries = Object.entries(file.groups).filter(([, objs]) => objs.length > 0);
             const multiGroup = groupEntries.length > 1;
@@ -134,13 +160,33 @@ function render() {
                     html += `        <div class="tree-row tree-row-obj${sel}" data-obj-id="${obj.id}">`;
                     html += `          <span class="tree-label tree-label-rename" data-rename-obj-id="${obj.id}" title="Double-click to rename">${esc(obj.name)}</span>`;
                     html += `          <span class="tree-row-actions">`;
-                    html += `            <button class="tree-color-swatch" data-obj-id="${obj.id}" title="Object color" style="background:${swatchColor}"></button>`;
+                    // Point clouds are vertex-coloured by their colour mode; a flat colour wouldn't show
+                    if (!obj.colorModes) html += `            <button class="tree-color-swatch" data-obj-id="${obj.id}" title="Object color" style="background:${swatchColor}"></button>`;
                     if (showContourBtn) html += `            <button class="tree-contour${isContourMode ? ' active' : ''}" data-obj-id="${obj.id}" title="Toggle contours">${svgContour}</button>`;
+                    if (showContourBtn) html += shadingButton(obj, '            ');
+                    if (obj.colorModes?.length > 1) html += `            <button class="tree-colormode" data-obj-id="${obj.id}" title="Color by ${COLOR_MODE_LABELS[obj.style.displayMode]} (click to change)">${svgPalette}</button>`;
+                    html += overlayButtons(obj, '            ');
+                    if (obj.mesh && !obj.mesh.userData.imagery) html += `            <button class="tree-save tree-glb" data-obj-id="${obj.id}" data-file-id="${file.id}" title="Export object as GLB">${svgCube}</button>`;
                     html += `            <button class="tree-jumpto" data-obj-id="${obj.id}" title="Jump to object">${svgTarget}</button>`;
                     html += `            <span class="tree-visibility" data-obj-id="${obj.id}" title="Toggle visibility">${visIcon}</span>`;
                     html += `            <button class="tree-delete-obj" data-obj-id="${obj.id}" data-file-id="${file.id}" title="Delete object">${svgTrash}</button>`;
                     html += `          </span>`;
                     html += `        </div>`;
+                    for (const [key, label] of Object.entries(SUBGROUP_OVERLAYS)) {
+                        if (!obj.overlays || !(key in obj.overlays)) continue;
+                        const subId = `${obj.id}::${key}`;
+                        const subSel = subId === selectedId ? ' selected' : '';
+                        const count = obj.overlayMeta?.[key]?.Sections ?? '';
+                        html += `        <div class="tree-children">`;
+                        html += `          <div class="tree-row tree-row-subgroup${subSel}" data-obj-id="${obj.id}" data-overlay="${key}">`;
+                        html += `            <span class="tree-label">${esc(label)}</span>`;
+                        html += `            <span class="tree-group-count">${count}</span>`;
+                        html += `            <span class="tree-row-actions">`;
+                        html += `              <span class="tree-visibility tree-overlay-vis" data-obj-id="${obj.id}" data-overlay="${key}" title="Toggle ${esc(label.toLowerCase())}">${obj.overlays[key] ? svgEye : svgEyeOff}</span>`;
+                        html += `            </span>`;
+                        html += `          </div>`;
+                        html += `        </div>`;
+                    }
                 }
                 if (multiGroup) {
                     html += `      </div>`;
@@ -153,10 +199,28 @@ function render() {
         }
     }
 
+    html += `<button class="tree-export-scene" title="Export every visible object as GLB">Export Scene (GLB)</button>`;
+
     container.innerHTML = html;
     attachEvents(container);
 }
 
+/** Smooth/flat shading toggle; only indexed meshes have shared vertices to average normals over. */
+function shadingButton(obj, indent) {
+    if (!obj.mesh?.geometry?.index) return '';
+    return `${indent}<button class="tree-shading${obj.style?.displayMode === 'smooth' ? ' active' : ''}" data-obj-id="${obj.id}" title="Toggle smooth shading">${svgShading}</button>`;
+}
+
+/** Row buttons for the object's OVERLAY_BUTTONS overlays (breaklines, flow arrows, draped imagery). */
+function overlayButtons(obj, indent) {
+    let html = '';
+    for (const [key, btn] of Object.entries(OVERLAY_BUTTONS)) {
+        if (!obj.overlays || !(key in obj.overlays)) continue;
+        html += `${indent}<button class="tree-overlay${obj.overlays[key] ? ' active' : ''}" data-obj-id="${obj.id}" data-overlay="${key}" title="${btn.title}">${btn.icon}</button>`;
+    }
+    return html;
+}
+
 function attachEvents(container) {
     // Collapse / expand toggles
     container.querySelectorAll('.tree-toggle').forEach(toggle => {
@@ -174,7 +238,7 @@ function attachEvents(container) {
     });
 
     // Per-object visibility toggles
-    container.querySelectorAll('.tree-visibility:not(.tree-group-vis)').forEach(btn => {
+    container.querySelectorAll('.tree-visibility:not(.tree-group-vis):not(.tree-overlay-vis)').forEach(btn => {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             toggleVisibility(btn.dataset.objId);
@@ -300,7 +364,7 @@ function attachEvents(container) {
     });
 
     // Save/export XML buttons
-    container.querySelectorAll('.tree-save').forEach(btn => {
+    container.querySelectorAll('.tree-save:not(.tree-geojson):not(.tree-glb)').forEach(btn => {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             const file = findFile(btn.dataset.fileId);
@@ -308,6 +372,28 @@ function attachEvents(container) {
         });
     });
 
+    // GeoJSON export buttons
+    container.querySelectorAll('.tree-geojson').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const file = findFile(btn.dataset.fileId);
+            if (file) exportFileGeoJSON(file);
+        });
+    });
+
+    // GLB export buttons — a whole file, or one object when the button sits on an object row
+    container.querySelectorAll('.tree-glb').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const file = findFile(btn.dataset.fileId);
+            if (!file) return;
+            const obj = btn.dataset.objId ? Object.values(file.groups).flat().find(o => o.id === btn.dataset.objId) : null;
+            exportGLB(file, obj);
+        });
+    });
+
+    container.querySelector('.tree-export-scene')?.addEventListener('click', () => exportGLB());
+
     // Inline rename — double-click on file labels
     container.querySelectorAll('.tree-label-rename[data-rename-file-id]').forEach(label => {
         label.addEventListener('dblclick', (e) => {
@@ -379,6 +465,58 @@ function attachEvents(container) {
         });
     });
 
+    // Smooth/flat shading toggle buttons
+    container.querySelectorAll('.tree-shading').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const objId = btn.dataset.objId;
+            const style = getStyle(objId);
+            const newMode = (style?.displayMode === 'smooth') ? 'solid' : 'smooth';
+            setStyle(objId, { displayMode: newMode });
+            render();
+        });
+    });
+
+    // Point-cloud colour mode buttons — cycle through the modes the cloud supports
+    container.querySelectorAll('.tree-colormode').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const objId = btn.dataset.objId;
+            const obj = getFiles().flatMap(f => Object.values(f.groups).flat()).find(o => o.id === objId);
+            if (!obj?.colorModes) return;
+            const next = obj.colorModes[(obj.colorModes.indexOf(obj.style.displayMode) + 1) % obj.colorModes.length];
+            setStyle(objId, { displayMode: next });
+            btn.title = `Color by ${COLOR_MODE_LABELS[next]} (click to change)`;
+        });
+    });
+
+    // Overlay sub-group rows — show the overlay's own metadata
+    container.querySelectorAll('.tree-row-subgroup').forEach(row => {
+        row.addEventListener('click', () => {
+            const { objId, overlay } = row.dataset;
+            selectedId = `${objId}::${overlay}`;
+            clearSelection(container);
+            row.classList.add('selected');
+            for (const file of getFiles()) {
+                for (const group of Object.values(file.groups)) {
+                    const obj = group.find(o => o.id === objId);
+                    if (obj) {
+                        updateMetadataPanel({ name: `${obj.name} — ${SUBGROUP_OVERLAYS[overlay]}`, metadata: obj.overlayMeta?.[overlay] });
+                        return;
+                    }
+                }
+            }
+        });
+    });
+
+    // Overlay toggle buttons (breaklines, cross sections, etc.)
+    container.querySelectorAll('.tree-overlay, .tree-overlay-vis').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleOverlay(btn.dataset.objId, btn.dataset.overlay);
+        });
+    });
+
     // Color swatch buttons — open native color picker
     container.querySelectorAll('.tree-color-swatch').forEach(swatch => {
         swatch.addEventListener('click', (e) => {
@@ -425,6 +563,14 @@ function clearSelection(container) {
     container.querySelectorAll('.tree-row').forEach(r => r.classList.remove('selected'));
 }
 
+/** Show metadata for an item selected outside the tree (e.g. a picked pipe). */
+export function showMetadata(item) {
+    const container = document.getElementById('data-tree');
+    if (container) clearSelection(container);
+    selectedId = null;
+    updateMetadataPanel(item);
+}
+
 function updateMetadataPanel(item) {
     const panel = document.getElementById('data-metadata');
     if (!panel) return;
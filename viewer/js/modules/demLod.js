@@ -0,0 +1,212 @@
+/**
+ * DEM Level of Detail
+ * Swaps a DEM's coarse root mesh for finer tiles streamed from the parse worker as the camera
+ * gets close, so large rasters show native resolution up close and stay cheap in the distance.
+ *
+ * The worker keeps the full grid and cuts it into a quadtree: level L samples every 2^L cells
+ * and each tile spans tileSize samples per side; level `levels` is the single root tile the
+ * mesh was built from. Tiles are added as children of the root mesh (same centroid-relative
+ * space) and share its current material, so colour, contour mode, vertical exaggeration and
+ * visibility carry over. A node is only replaced by its children once all four have arrived.
+ */
+
+import * as THREE from '../libs/three.module.js';
+import { setDrapeUV } from './imagery.js';
+
+const LOD_SPLIT = 1.5;            // split a node when the camera is nearer than LOD_SPLIT × its width
+const MAX_TILES_PER_DEM = 96;     // cached tile meshes per DEM before least-recently-used ones go
+const MAX_IN_FLIGHT = 4;          // tile requests outstanding across all DEMs
+const UPDATE_INTERVAL = 150;      // ms between tile selections
+
+const states = new Set();
+let inFlight = 0;
+let lastUpdate = 0;
+
+/**
+ * Start level-of-detail streaming for a DEM mesh.
+ * @param {THREE.Mesh} mesh - root mesh built from the worker's coarsest tile
+ * @param {object} lod - worker descriptor { demId, levels, tileSize, width, height, gridOrigin, resolution, centroid, elevRange }
+ * @param {{ fetchTile: (tile: { level, tx, ty }) => Promise<{ vertexBuffer, indexBuffer }>, release: () => void }} source
+ */
+export function attachDEMLod(mesh, lod, source) {
+    const state = { mesh, lod, ...source, tiles: new Map(), pending: new Set(), failed: new Set(), detached: false };
+    mesh.userData.lod = state;
+    states.add(state);
+}
+
+/** Stop streaming for a mesh, drop its tiles and let the worker free the grid. */
+export function detachDEMLod(mesh) {
+    const state = mesh?.userData.lod;
+    if (!state) return;
+    state.detached = true;
+    states.delete(state);
+    for (const tile of state.tiles.values()) disposeTile(state, tile);
+    state.tiles.clear();
+    mesh.geometry.setDrawRange(0, Infinity);
+    mesh.userData.lod = null;
+    state.release();
+}
+
+/** Per-frame hook: keep tile materials in step with the root, and reselect tiles every UPDATE_INTERVAL. */
+export function updateDEMLod(camera) {
+    if (states.size === 0) return;
+    const now = performance.now();
+    const reselect = now - lastUpdate >= UPDATE_INTERVAL;
+    if (reselect) lastUpdate = now;
+
+    for (const state of states) {
+        if (reselect && state.mesh.visible) selectTiles(state, camera, now);
+        syncMaterials(state);
+    }
+}
+
+/** Walk the quadtree from the root, showing the finest loaded nodes the camera distance asks for. */
+function selectTiles(state, camera, now) {
+    const { mesh, lod } = state;
+    const eye = mesh.worldToLocal(camera.position.clone());
+    const shown = new Set();
+
+    const visit = (level, tx, ty) => {
+        const key = tileKey(level, tx, ty);
+        if (level > 0 && nodeDistance(lod, level, tx, ty, eye) < LOD_SPLIT * nodeWidth(lod, level)) {
+            const children = childNodes(lod, level, tx, ty);
+            // A child the worker couldn't build keeps this node as the finest one shown
+            if (!children.some(([l, x, y]) => state.failed.has(tileKey(l, x, y)))) {
+                const missing = children.filter(([l, x, y]) => !state.tiles.has(tileKey(l, x, y)));
+                if (missing.length === 0) {
+                    for (const [l, x, y] of children) visit(l, x, y);
+                    return;
+                }
+                for (const [l, x, y] of missing) requestTile(state, l, x, y);
+            }
+        }
+        shown.add(key);
+    };
+    visit(lod.levels, 0, 0);
+
+    const rootKey = tileKey(lod.levels, 0, 0);
+    mesh.geometry.setDrawRange(0, shown.has(rootKey) ? Infinity : 0);
+    for (const [key, tile] of state.tiles) {
+        const visible = shown.has(key);
+        if (visible) tile.lastUsed = now;
+        if (tile.mesh) tile.mesh.visible = visible;
+    }
+    evictTiles(state, shown);
+}
+
+function requestTile(state, level, tx, ty) {
+    const key = tileKey(level, tx, ty);
+    if (state.pending.has(key) || inFlight >= MAX_IN_FLIGHT) return;
+    state.pending.add(key);
+    inFlight++;
+    state.fetchTile({ level, tx, ty })
+        .then(({ vertexBuffer, indexBuffer }) => {
+            if (state.detached) return;
+            const tile = { mesh: null, lastUsed: performance.now() };
+            if (indexBuffer.length > 0) {
+                tile.mesh = buildTileMesh(vertexBuffer, indexBuffer, state.mesh);
+                tile.mesh.name = `${state.mesh.name} — ${key}`;
+                tile.mesh.visible = false;
+                state.mesh.add(tile.mesh);
+            }
+            state.tiles.set(key, tile);
+        })
+        .catch(err => {
+            // Not asked for again: every retry would be another worker round trip and warning
+            if (!state.detached) state.failed.add(key);
+            console.warn(`DEM tile ${key} failed:`, err);
+        })
+        .finally(() => {
+            inFlight--;
+            state.pending.delete(key);
+        });
+}
+
+/** Same transform as the root mesh: worker [northing, easting, elevation] → local (n, elev, e). */
+function buildTileMesh(vertexBuffer, indexBuffer, root) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(vertexBuffer, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indexBuffer, 1));
+    geometry.rotateX(-Math.PI / 2);
+    geometry.scale(1, 1, -1);
+    geometry.computeVertexNormals();
+    const mesh = new THREE.Mesh(geometry, root.material);
+    mesh.userData.isLodTile = true;
+    return mesh;
+}
+
+/** Tiles draw with the root's current material, or with its imagery drape's when that is switched on. */
+function syncMaterials(state) {
+    const drape = state.mesh.userData.overlays?.imagery;
+    const draped = !!drape?.visible;
+    for (const tile of state.tiles.values()) {
+        const mesh = tile.mesh;
+        if (!mesh?.visible) continue;
+        if (draped && mesh.userData.uvLayer !== drape.userData.layer) {
+            setDrapeUV(state.mesh, mesh.geometry, drape.userData.layer.bounds);
+            mesh.userData.uvLayer = drape.userData.layer;
+        }
+        mesh.material = draped ? drape.material : state.mesh.material;
+    }
+}
+
+/** Drop least-recently-shown tiles beyond the per-DEM budget (never ones on screen). */
+function evictTiles(state, shown) {
+    const excess = state.tiles.size - MAX_TILES_PER_DEM;
+    if (excess <= 0) return;
+    const candidates = [...state.tiles.entries()]
+        .filter(([key]) => !shown.has(key))
+        .sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+        .slice(0, excess);
+    for (const [key, tile] of candidates) {
+        disposeTile(state, tile);
+        state.tiles.delete(key);
+    }
+}
+
+function disposeTile(state, tile) {
+    if (!tile.mesh) return;
+    state.mesh.remove(tile.mesh);
+    tile.mesh.geometry.dispose();
+}
+
+function tileKey(level, tx, ty) {
+    return `${level}/${tx}/${ty}`;
+}
+
+/** Grid cells covered by one node side at a level. */
+function nodeSpan(lod, level) {
+    return lod.tileSize * 2 ** level;
+}
+
+function nodeWidth(lod, level) {
+    return nodeSpan(lod, level) * Math.max(Math.abs(lod.resolution.x), Math.abs(lod.resolution.y));
+}
+
+/** Child nodes one level down that still fall inside the grid. */
+function childNodes(lod, level, tx, ty) {
+    const span = nodeSpan(lod, level - 1);
+    const out = [];
+    for (let dy = 0; dy < 2; dy++) {
+        for (let dx = 0; dx < 2; dx++) {
+            const x = tx * 2 + dx, y = ty * 2 + dy;
+            if (x * span < lod.width - 1 && y * span < lod.height - 1) out.push([level - 1, x, y]);
+        }
+    }
+    return out;
+}
+
+/** Distance from a point in root-local space (n, elev, e) to a node's bounding box. */
+function nodeDistance(lod, level, tx, ty, eye) {
+    const { gridOrigin, resolution, centroid, elevRange } = lod;
+    const span = nodeSpan(lod, level);
+    const c0 = tx * span, c1 = Math.min(lod.width - 1, c0 + span);
+    const r0 = ty * span, r1 = Math.min(lod.height - 1, r0 + span);
+    const n0 = gridOrigin.northing + r0 * resolution.y - centroid.x, n1 = gridOrigin.northing + r1 * resolution.y - centroid.x;
+    const e0 = gridOrigin.easting  + c0 * resolution.x - centroid.y, e1 = gridOrigin.easting  + c1 * resolution.x - centroid.y;
+    const box = new THREE.Box3(
+        new THREE.Vector3(Math.min(n0, n1), elevRange[0] - centroid.z, Math.min(e0, e1)),
+        new THREE.Vector3(Math.max(n0, n1), elevRange[1] - centroid.z, Math.max(e0, e1)),
+    );
+    return box.distanceToPoint(eye);
+}
@@ -1,16 +1,21 @@
 /**
  * File Handler
  * Handles file upload events and file deletion (mesh cleanup).
- * LandXML is parsed on the main thread (DOMParser required).
- * DEM parsing runs in a Web Worker to keep the UI responsive.
+ * Every format is parsed in a module Web Worker (parseWorker.js) to keep the UI responsive;
+ * the results are built into Three.js objects here. DEM tiles are also fetched from the
+ * worker on demand, and LandXML is re-parsed with DOMParser only to save it back.
  */
 
 import * as THREE from '../libs/three.module.js';
 import { addFile, findFile, getFiles, removeObject, onSetDisplayMode } from './sceneData.js';
 import { onFileDelete, onObjectDelete } from './dataTree.js';
 import { setStatus } from './uiController.js';
-import { setCRS, removeCRSForFile, resetOrigin, initOriginFromPoints, getOrigin } from './crsManager.js';
-import { parseLandXML } from './xmlParser.js';
+import { setCRS, getCRSForFile, removeCRSForFile, resetOrigin, initOriginFromPoints, getOrigin, toWorldCoords } from './crsManager.js';
+import { getPointBudget, getDemTolerance, shouldBakeGLBOrigin } from './settingsManager.js';
+import { buildImageryLayer, removeImageryLayer, refreshImageryDrapes } from './imagery.js';
+import { attachDEMLod, detachDEMLod } from './demLod.js';
+import { buildGLB } from './glbExport.js';
+import { buildSurfaceLandXML } from './landxmlExport.js';
 
 // ── Contour ShaderMaterial ───────────────────────────────────────────────────
 const CONTOUR_VERT = `
@@ -57,10 +62,19 @@ export function buildContourMaterial(minY, maxY, interval) {
 }
 
 /**
- * Switch a surface mesh between 'solid' and 'contour' display modes.
- * Stores the original solid material on mesh.userData so it can be restored.
+ * Switch a surface mesh between 'solid' (flat-shaded), 'smooth' and 'contour' display modes.
+ * Stores the original solid material on mesh.userData so it can be restored; smooth shading
+ * only differs from solid on indexed meshes, whose shared vertices carry averaged normals.
+ * Point clouds instead swap their colour attribute ('elevation' | 'rgb' | 'classification').
  */
 export function setDisplayMode(mesh, mode) {
+  if (mesh?.isPoints) {
+    const colors = mesh.userData.colorSets?.[mode];
+    if (!colors) return;
+    mesh.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3, true));
+    mesh.userData.colorMode = mode;
+    return;
+  }
   if (!mesh || !mesh.isMesh) return;
   if (mode === 'contour') {
     if (!mesh.userData._solidMaterial) mesh.userData._solidMaterial = mesh.material;
@@ -73,23 +87,36 @@ export function setDisplayMode(mesh, mode) {
       mesh.material = mesh.userData._solidMaterial;
       mesh.userData._solidMaterial = null;
     }
+    // The imagery drape follows the surface's shading
+    for (const material of [mesh.material, mesh.userData.overlays?.imagery?.material]) {
+      if (!material || material.flatShading === (mode !== 'smooth')) continue;
+      material.flatShading = mode !== 'smooth';
+      material.needsUpdate = true;
+    }
   }
 }
 
+/** Object types a file without LandXML source can export as LandXML surfaces. */
+export const LANDXML_SURFACE_TYPES = ['DEM', 'Surface', 'Model'];
+
 /**
- * Serialize a file entry's xmlDoc to an XML string, inject visual settings,
- * and trigger a browser download. No-op if the file has no xmlDoc (e.g. DEM).
+ * Serialize a file entry's XML to a string, inject visual settings,
+ * and trigger a browser download. Files without XML source (DEMs, models, DXF, ...)
+ * have their surfaces written as a new LandXML document instead (see exportSurfacesXML).
+ * The DOM is built from the kept source text on first export and cached on the entry.
  * @param {object} fileEntry - entry from sceneData
  */
 export function exportFileXML(fileEntry) {
-  if (!fileEntry?.xmlDoc) return;
+  if (!fileEntry?.xmlDoc && !fileEntry?.xmlText) return exportSurfacesXML(fileEntry);
+  if (!fileEntry.xmlDoc) fileEntry.xmlDoc = new DOMParser().parseFromString(fileEntry.xmlText, 'application/xml');
 
-  // Collect non-default styles to embed
+  // Collect non-default styles to embed, keyed by the name in the source so renamed objects still match
   const styles = [];
-  for (const group of Object.values(fileEntry.groups)) {
+  for (const [type, group] of Object.entries(fileEntry.groups)) {
     for (const obj of group) {
-      if (obj.style?.color) {
-        styles.push({ name: obj.name, color: obj.style.color, displayMode: obj.style.displayMode || 'solid' });
+      const displayMode = obj.style?.displayMode || 'solid';
+      if (obj.style?.color || displayMode !== 'solid') {
+        styles.push({ name: obj.sourceName ?? obj.name, type, ...(obj.style.color ? { color: obj.style.color } : {}), displayMode });
       }
     }
   }
@@ -108,27 +135,210 @@ export function exportFileXML(fileEntry) {
   }
 
   const xml = new XMLSerializer().serializeToString(doc);
-  const blob = new Blob([xml], { type: 'application/xml' });
+  downloadBlob(new Blob([xml], { type: 'application/xml' }),
+    fileEntry.name.endsWith('.xml') ? fileEntry.name : fileEntry.name + '.xml');
+}
+
+/**
+ * Write a file's DEM, surface and model objects as LandXML 1.2 TIN surfaces in real-world
+ * coordinates, with units and CoordinateSystem from the file's metadata. Tiled DEMs are
+ * triangulated at native resolution (within the simplification tolerance) by the worker;
+ * everything else is written as displayed.
+ * @param {object} fileEntry - entry from sceneData
+ */
+async function exportSurfacesXML(fileEntry) {
+  const objects = LANDXML_SURFACE_TYPES.flatMap(type => fileEntry?.groups[type] || []).filter(o => o.mesh);
+  if (objects.length === 0) return;
+
+  try {
+    setStatus(`Exporting ${fileEntry.name} as LandXML...`);
+    const surfaces = [];
+    for (const obj of objects) {
+      const demId = obj.mesh.userData.lod?.lod.demId;
+      const tin = demId
+        ? (await workerParse('demTIN', null, obj.name, { demId })).tin
+        : await meshToTIN(obj.mesh);
+      if (tin && tin.faces.length > 0) surfaces.push({ name: obj.name, ...tin });
+    }
+    if (surfaces.length === 0) throw new Error('no triangles to export');
+
+    const crs = getCRSForFile(fileEntry.id);
+    const parts = buildSurfaceLandXML(surfaces, {
+      linearUnit: fileEntry.metadata?.['Linear Unit'] || crs?.['Linear Unit'],
+      crs,
+      source: fileEntry.name,
+    });
+    downloadBlob(new Blob(parts, { type: 'application/xml' }), fileEntry.name.replace(/\.[^.]+$/, '') + '.xml');
+    setStatus(`Exported ${fileEntry.name} as LandXML (${surfaces.length} surface${surfaces.length !== 1 ? 's' : ''})`);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Error exporting ${fileEntry.name}: ${err.message}`);
+  }
+}
+
+/**
+ * Read a surface mesh back into real-world points and faces; vertical exaggeration on
+ * mesh.scale is ignored. Indexed meshes already share their points, so only the ones the
+ * faces use are kept. Triangle soups (one vertex per corner) have coincident corners merged
+ * by the worker.
+ * @returns {Promise<{ points: Float64Array, faces: Uint32Array } | null>} points as [northing, easting, elevation]
+ */
+async function meshToTIN(mesh) {
+  const pos = mesh?.isMesh && !mesh.isInstancedMesh ? mesh.geometry.getAttribute('position') : null;
+  if (!pos) return null;
+  // Scene space is (northing, elevation, easting) minus the origin
+  const offset = toWorldCoords(mesh.position.x, mesh.position.z, mesh.position.y);
+  const index = mesh.geometry.index;
+  if (!index) {
+    const positions = new Float32Array(pos.count * 3);
+    for (let i = 0; i < pos.count; i++) {
+      positions[i * 3] = pos.getX(i); positions[i * 3 + 1] = pos.getY(i); positions[i * 3 + 2] = pos.getZ(i);
+    }
+    return (await workerParse('meshTIN', positions.buffer, mesh.name, { offset })).tin;
+  }
+
+  const pointOf = new Int32Array(pos.count).fill(-1);   // vertex → point number
+  const coords = new Float64Array(pos.count * 3);
+  const faces = new Uint32Array(index.count - index.count % 3);
+  let points = 0;
+  for (let k = 0; k < faces.length; k++) {
+    const v = index.getX(k);
+    if (pointOf[v] < 0) {
+      pointOf[v] = points;
+      coords[points * 3]     = pos.getX(v) + offset.x;
+      coords[points * 3 + 1] = pos.getZ(v) + offset.y;
+      coords[points * 3 + 2] = pos.getY(v) + offset.z;
+      points++;
+    }
+    faces[k] = pointOf[v];
+  }
+  return { points: coords.slice(0, points * 3), faces };
+}
+
+/** Object types exported by exportFileGeoJSON. */
+export const GEOJSON_EXPORT_TYPES = ['Alignment', 'FeatureLine'];
+
+/**
+ * Export a file's alignments and feature lines as a GeoJSON FeatureCollection in
+ * real-world coordinates ([easting, northing, elevation]), with metadata as properties.
+ * @param {object} fileEntry - entry from sceneData
+ */
+export function exportFileGeoJSON(fileEntry) {
+  const features = [];
+  for (const type of GEOJSON_EXPORT_TYPES) {
+    for (const obj of fileEntry?.groups[type] || []) {
+      const paths = lineObjectToWorldPaths(obj.mesh);
+      if (paths.length === 0) continue;
+      const properties = { name: obj.name, type };
+      for (const [k, v] of Object.entries(obj.metadata || {})) {
+        if (typeof v === 'string' || typeof v === 'number') properties[k] = v;
+      }
+      features.push({
+        type: 'Feature',
+        properties,
+        geometry: paths.length === 1
+          ? { type: 'LineString', coordinates: paths[0] }
+          : { type: 'MultiLineString', coordinates: paths },
+      });
+    }
+  }
+  if (features.length === 0) return;
+
+  const collection = { type: 'FeatureCollection', name: fileEntry.name.replace(/\.[^.]+$/, '') };
+  // Projected coordinates aren't RFC 7946 WGS 84, so name the CRS the way GDAL/QGIS read it
+  const crs = getCRSForFile(fileEntry.id)?.CRS;
+  if (crs) {
+    const epsg = /EPSG:+(\d+)/i.exec(crs);
+    collection.crs = { type: 'name', properties: { name: epsg ? `urn:ogc:def:crs:EPSG::${epsg[1]}` : crs } };
+  }
+  collection.features = features;
+
+  downloadBlob(new Blob([JSON.stringify(collection)], { type: 'application/geo+json' }),
+    fileEntry.name.replace(/\.[^.]+$/, '') + '.geojson');
+}
+
+/**
+ * Export loaded objects as a GLB: every loaded file, one file, or one object of a file.
+ * Objects keep their names and current colours; hidden objects are skipped unless exported
+ * on their own, and imagery layers are not exported. The Settings panel chooses between
+ * real-world coordinates and local ones with the origin offset in the scene extras.
+ * @param {object|null} fileEntry - entry from sceneData, or null for the whole scene
+ * @param {object} [obj] - one object entry of fileEntry
+ */
+export function exportGLB(fileEntry = null, obj = null) {
+  const files = fileEntry ? [fileEntry] : getFiles();
+  const exportable = (o) => o.mesh && !o.mesh.userData.imagery;
+  const groups = files.map(file => ({
+    name: obj ? null : file.name,
+    objects: Object.entries(file.groups).flatMap(([type, objects]) => objects
+      .filter(o => obj ? o === obj : o.visible && exportable(o))
+      .map(o => ({ name: o.name, type, mesh: o.mesh }))),
+  }));
+  if (groups.every(g => g.objects.length === 0)) return;
+
+  const crsNames = new Set(files.map(file => getCRSForFile(file.id)?.CRS).filter(Boolean));
+  const glb = buildGLB(groups, {
+    origin: getOrigin(),
+    bakeOrigin: shouldBakeGLBOrigin(),
+    crs: crsNames.size === 1 ? [...crsNames][0] : undefined,
+  });
+  const baseName = obj ? obj.name : fileEntry ? fileEntry.name.replace(/\.[^.]+$/, '') : 'scene';
+  downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), baseName + '.glb');
+}
+
+/**
+ * Read a LineSegments object back into real-world polylines. Positions are local to the
+ * object (centroid-relative, Three.js axes); vertical exaggeration on mesh.scale is ignored.
+ * @returns {number[][][]} paths of [easting, northing, elevation]
+ */
+function lineObjectToWorldPaths(lineObj) {
+  const pos = lineObj?.isLineSegments ? lineObj.geometry.getAttribute('position') : null;
+  if (!pos) return [];
+  const round = (v) => Math.round(v * 1e4) / 1e4;
+  const toWorld = (i) => {
+    // Scene space is (northing, elevation, easting) minus the origin
+    const w = toWorldCoords(pos.getX(i) + lineObj.position.x, pos.getZ(i) + lineObj.position.z, pos.getY(i) + lineObj.position.y);
+    return [round(w.y), round(w.x), round(w.z)];
+  };
+  const paths = [];
+  let path = null, lastIdx = -1;
+  for (let i = 0; i + 1 < pos.count; i += 2) {
+    const joins = path && pos.getX(i) === pos.getX(lastIdx) && pos.getY(i) === pos.getY(lastIdx) && pos.getZ(i) === pos.getZ(lastIdx);
+    if (!joins) { path = [toWorld(i)]; paths.push(path); }
+    path.push(toWorld(i + 1));
+    lastIdx = i + 1;
+  }
+  return paths;
+}
+
+function downloadBlob(blob, fileName) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = fileEntry.name.endsWith('.xml') ? fileEntry.name : fileEntry.name + '.xml';
+  a.download = fileName;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
 }
 
-// Spin up the parse worker once (used for DEM only)
-const worker = new Worker(new URL('./parseWorker.js', import.meta.url));
+// Spin up the parse worker once (module worker: LandXML + DEM)
+const worker = new Worker(new URL('./parseWorker.js', import.meta.url), { type: 'module' });
+let nextJobId = 0;
 
 /**
  * Send a file to the parse worker and await the result.
+ * Messages are tagged with a job id so concurrent parses don't pick up each other's replies.
+ * @param {object} [options] - reader options, e.g. { pointBudget, demTolerance }
+ * @param {(fraction: number) => void} [onProgress] - called with 0–1 while the worker streams the file
  * @returns {Promise<object>}
  */
-function workerParse(type, content, fileName) {
+function workerParse(type, content, fileName, options = {}, onProgress) {
+  const id = nextJobId++;
   return new Promise((resolve, reject) => {
     const handler = (e) => {
+      if (e.data.id !== id) return;
+      if (e.data.progress !== undefined) { onProgress?.(e.data.progress); return; }
       worker.removeEventListener('message', handler);
       worker.removeEventListener('error', errHandler);
       if (e.data.ok) resolve(e.data);
@@ -144,7 +354,7 @@ function workerParse(type, content, fileName) {
 
     // Transfer ArrayBuffer for GeoTIFF (avoids copy)
     const transfers = (content instanceof ArrayBuffer) ? [content] : [];
-    worker.postMessage({ type, content, fileName }, transfers);
+    worker.postMessage({ id, type, content, fileName, options }, transfers);
   });
 }
 
@@ -153,10 +363,11 @@ function workerParse(type, content, fileName) {
  * Mirrors the same transform & material as XMLtoThree_Surface / DEMtoThree_Surface.
  */
 function buildMeshFromWorkerData(surfaceData, surfaceIndex) {
-  const { vertexBuffer, centroid } = surfaceData;
+  const { vertexBuffer, indexBuffer, centroid } = surfaceData;
 
   const geometry = new THREE.BufferGeometry();
   geometry.setAttribute('position', new THREE.BufferAttribute(vertexBuffer, 3));
+  if (indexBuffer) geometry.setIndex(new THREE.BufferAttribute(indexBuffer, 1));
   geometry.rotateX(-Math.PI / 2);
   geometry.scale(1, 1, -1);
   geometry.computeVertexNormals();
@@ -182,6 +393,21 @@ function buildMeshFromWorkerData(surfaceData, surfaceIndex) {
   mesh.userData.elevMinY = bbox.min.z;  // Z in LandXML = elevation
   mesh.userData.elevMaxY = bbox.max.z;
 
+  // Breaklines ride along as a hidden child overlay (same centroid-relative space),
+  // lifted a hair above the TIN so they don't z-fight with the faces they follow.
+  if (surfaceData.breaklineBuffer) {
+    const brkGeo = new THREE.BufferGeometry();
+    brkGeo.setAttribute('position', new THREE.BufferAttribute(surfaceData.breaklineBuffer, 3));
+    brkGeo.rotateX(-Math.PI / 2);
+    brkGeo.scale(1, 1, -1);
+    const breaklines = new THREE.LineSegments(brkGeo, new THREE.LineBasicMaterial({ color: 0xFF4500 }));
+    breaklines.name = surfaceData.name + ' — Breaklines';
+    breaklines.position.y = Math.max(0.01, (bbox.max.z - bbox.min.z) * 0.001);
+    breaklines.visible = false;
+    mesh.add(breaklines);
+    mesh.userData.overlays = { breaklines };
+  }
+
   // Set origin from the first surface's raw bbox centroid (same first-call-wins logic)
   const bboxCentroid = surfaceData.rawBBox.centroid;
   initOriginFromPoints([[bboxCentroid.x, bboxCentroid.y, bboxCentroid.z]]);
@@ -193,6 +419,15 @@ function buildMeshFromWorkerData(surfaceData, surfaceIndex) {
   const dz = cz - origin.z;
   mesh.position.set(dx, dz, dy);
 
+  // Large DEMs arrive as a coarse root tile; finer tiles stream in from the worker by camera distance
+  if (surfaceData.lod) {
+    const { demId } = surfaceData.lod;
+    attachDEMLod(mesh, surfaceData.lod, {
+      fetchTile: (tile) => workerParse('demTile', null, surfaceData.name, { demId, ...tile }).then(r => r.tile),
+      release: () => workerParse('demRelease', null, surfaceData.name, { demId }).catch(() => {}),
+    });
+  }
+
   return mesh;
 }
 
@@ -202,6 +437,8 @@ const LINE_COLORS = {
   Structure:   0x40E0D0,
   Alignment:   0xFF8C00,
   FeatureLine: 0x90EE90,
+  Parcel:      0xFF69B4,
+  Polygon:     0xBA55D3,
 };
 
 /**
@@ -219,6 +456,7 @@ function buildLineFromWorkerData(objData) {
   const material = new THREE.LineBasicMaterial({ color });
   const lineObj  = new THREE.LineSegments(geometry, material);
   lineObj.name   = objData.name;
+  if (objData.parts) lineObj.userData.parts = objData.parts;   // per-feature segment ranges for picking
 
   const bboxCentroid = objData.rawBBox.centroid;
   initOriginFromPoints([[bboxCentroid.x, bboxCentroid.y, bboxCentroid.z]]);
@@ -230,9 +468,137 @@ function buildLineFromWorkerData(objData) {
     centroid.y - origin.y
   );
 
+  if (objData.crossSections) {
+    const xsLines = buildCrossSectionLines(objData.crossSections);
+    xsLines.name = objData.name + ' — Cross Sections';
+    lineObj.add(xsLines);
+    lineObj.userData.overlays = { crossSections: xsLines };
+  }
+
   return lineObj;
 }
 
+// Per-surface colours for cross-section lines (cycled by CrossSectSurf order)
+const CROSS_SECT_COLORS = [0xFFFFFF, 0x32CD32, 0xFF6347, 0x1E90FF, 0xFFD700, 0xDA70D6];
+
+/**
+ * Build the hidden cross-section overlay for an alignment: one LineSegments in the
+ * alignment's centroid-relative space, vertex-coloured by section surface.
+ */
+function buildCrossSectionLines(xs) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(xs.buffer, 3));
+  const colors = new Float32Array(xs.surfIds.length * 3);
+  const c = new THREE.Color();
+  xs.surfIds.forEach((sid, i) => {
+    c.setHex(CROSS_SECT_COLORS[sid % CROSS_SECT_COLORS.length]);
+    colors[i * 3] = c.r; colors[i * 3 + 1] = c.g; colors[i * 3 + 2] = c.b;
+  });
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geometry.rotateX(-Math.PI / 2);
+  geometry.scale(1, 1, -1);
+
+  const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+  lines.visible = false;
+  lines.userData.meta = xs.meta;
+  return lines;
+}
+
+/**
+ * Build an InstancedMesh of small octahedron markers, one per COGO point.
+ * Marker size scales with the collection's horizontal extent so both a lot survey
+ * and a corridor-length control network stay readable.
+ */
+function buildPointsMesh(objData) {
+  const { points, centroid, rawBBox } = objData;
+  if (!points?.length) return null;
+
+  const span   = Math.hypot(rawBBox.max.x - rawBBox.min.x, rawBBox.max.y - rawBBox.min.y);
+  const radius = Math.min(2, Math.max(0.05, span / 400));
+
+  const geometry = new THREE.OctahedronGeometry(radius, 0);
+  const material = new THREE.MeshStandardMaterial({ color: 0xFFD700, roughness: 0.6, metalness: 0 });
+  const mesh     = new THREE.InstancedMesh(geometry, material, points.length);
+  mesh.name      = objData.name;
+
+  const m   = new THREE.Matrix4();
+  const box = new THREE.Box3();
+  points.forEach((p, i) => {
+    m.makeTranslation(p.n - centroid.x, p.z - centroid.z, p.e - centroid.y);
+    mesh.setMatrixAt(i, m);
+    box.expandByPoint(new THREE.Vector3().setFromMatrixPosition(m));
+  });
+  mesh.instanceMatrix.needsUpdate = true;
+  // Box3.setFromObject only sees the single marker geometry — widen it to all instances
+  // so jump-to and camera framing cover the whole collection.
+  geometry.boundingBox = box.expandByScalar(radius);
+  mesh.userData.points = points;
+
+  initOriginFromPoints([[rawBBox.centroid.x, rawBBox.centroid.y, rawBBox.centroid.z]]);
+  const origin = getOrigin() || { x: 0, y: 0, z: 0 };
+  mesh.position.set(centroid.x - origin.x, centroid.z - origin.z, centroid.y - origin.y);
+
+  return mesh;
+}
+
+// ── Point clouds ─────────────────────────────────────────────────────────────
+
+// ASPRS standard LAS classes; anything else falls back to grey
+const CLASS_COLORS = {
+  0: 0x9E9E9E, 1: 0xBDBDBD, 2: 0xA0522D, 3: 0x9ACD32, 4: 0x32CD32, 5: 0x006400,
+  6: 0xFF4500, 7: 0xFF00FF, 9: 0x1E90FF, 10: 0x8B8B83, 11: 0x505050, 13: 0xFFD700,
+  14: 0xFFA500, 15: 0xB22222, 16: 0xDAA520, 17: 0x8A2BE2, 18: 0xFF1493,
+};
+const POINT_COLOR_MODES = ['elevation', 'rgb', 'classification'];
+
+/**
+ * Build THREE.Points from a worker point cloud. Colour arrays for each available mode
+ * (elevation ramp, RGB, classification) are computed once and swapped by setDisplayMode.
+ */
+function buildPointCloudFromWorkerData(objData) {
+  const { pointBuffer, rgb, classification, centroid, rawBBox } = objData;
+  const count = pointBuffer.length / 3;
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(pointBuffer, 3));
+  geometry.rotateX(-Math.PI / 2);
+  geometry.scale(1, 1, -1);
+
+  // Elevation ramp: blue (low) → red (high)
+  const elevation = new Uint8Array(count * 3);
+  const zMin = rawBBox.min.z, zSpan = (rawBBox.max.z - rawBBox.min.z) || 1;
+  const c = new THREE.Color();
+  for (let i = 0; i < count; i++) {
+    const t = (pointBuffer[i * 3 + 2] + centroid.z - zMin) / zSpan;
+    c.setHSL(0.66 * (1 - Math.min(1, Math.max(0, t))), 0.85, 0.5);
+    elevation[i * 3] = c.r * 255; elevation[i * 3 + 1] = c.g * 255; elevation[i * 3 + 2] = c.b * 255;
+  }
+
+  const classColors = new Uint8Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    c.setHex(CLASS_COLORS[classification[i]] ?? 0x9E9E9E);
+    classColors[i * 3] = c.r * 255; classColors[i * 3 + 1] = c.g * 255; classColors[i * 3 + 2] = c.b * 255;
+  }
+
+  const colorSets = { elevation, classification: classColors, ...(rgb ? { rgb } : {}) };
+  const mode = rgb ? 'rgb' : 'elevation';
+  geometry.setAttribute('color', new THREE.BufferAttribute(colorSets[mode], 3, true));
+
+  const material = new THREE.PointsMaterial({ size: 2, sizeAttenuation: false, vertexColors: true });
+  const cloud = new THREE.Points(geometry, material);
+  cloud.name = objData.name;
+  cloud.userData.baseScaleY = 1;
+  cloud.userData.colorSets = colorSets;
+  cloud.userData.colorModes = POINT_COLOR_MODES.filter(m => m in colorSets);
+  cloud.userData.colorMode = mode;
+
+  initOriginFromPoints([[rawBBox.centroid.x, rawBBox.centroid.y, rawBBox.centroid.z]]);
+  const origin = getOrigin() || { x: 0, y: 0, z: 0 };
+  cloud.position.set(centroid.x - origin.x, centroid.z - origin.z, centroid.y - origin.y);
+
+  return cloud;
+}
+
 // ── LandXML (N, E, Z) → Three.js world (x, y, z) given scene origin ──────────
 // Three.js world = (N - oN,  Z - oZ,  E - oE)
 function landxmlToThree(n, e, z, origin) {
@@ -240,8 +606,70 @@ function landxmlToThree(n, e, z, origin) {
 }
 
 /**
- * Build a merged Three.js Mesh of oriented cylinders, one per pipe segment.
- * Each pipe uses its CircPipe outer radius and is oriented along its 3D axis.
+ * Closed 2D cross-section outline [[x, z], ...] (counter-clockwise, centred on the pipe axis)
+ * for a non-circular pipe shape. x spans the pipe width, z its height.
+ */
+function pipeProfile(shape, width, height, nSegs = 24) {
+  const hw = width / 2, hh = height / 2;
+  if (shape === 'rect') return [[hw, -hh], [hw, hh], [-hw, hh], [-hw, -hh]];
+  const pts = [];
+  for (let i = 0; i < nSegs; i++) {
+    const t = (i / nSegs) * 2 * Math.PI;
+    // Egg: full width near the crown, tapering to a narrower invert
+    const taper = shape === 'egg' ? (1 + 0.35 * Math.sin(t)) / 1.35 : 1;
+    pts.push([hw * Math.cos(t) * taper, hh * Math.sin(t)]);
+  }
+  if (shape === 'egg') {
+    const maxX = Math.max(...pts.map(p => Math.abs(p[0])));
+    for (const p of pts) p[0] *= hw / maxX;
+  }
+  return pts;
+}
+
+/**
+ * Extrude a cross-section profile (XZ plane) along Y into an indexed prism, centred on the
+ * origin like CylinderGeometry so it can be oriented the same way. Rectangular profiles keep
+ * hard edges; curved ones get smooth side normals.
+ */
+function buildProfilePrism(profile, len, smooth) {
+  const positions = [], normals = [], indices = [];
+  const n = profile.length, h = len / 2;
+
+  for (let i = 0; i < n; i++) {
+    const a = profile[i], b = profile[(i + 1) % n];
+    const faceN = new THREE.Vector2(b[1] - a[1], -(b[0] - a[0])).normalize();
+    const vertN = (k) => {
+      if (!smooth) return faceN;
+      const p = profile[(k - 1 + n) % n], q = profile[(k + 1) % n];
+      return new THREE.Vector2(q[1] - p[1], -(q[0] - p[0])).normalize();
+    };
+    const na = vertN(i), nb = vertN((i + 1) % n);
+    const base = positions.length / 3;
+    positions.push(a[0], -h, a[1],  b[0], -h, b[1],  b[0], h, b[1],  a[0], h, a[1]);
+    normals.push(na.x, 0, na.y,  nb.x, 0, nb.y,  nb.x, 0, nb.y,  na.x, 0, na.y);
+    indices.push(base, base + 2, base + 1,  base, base + 3, base + 2);
+  }
+  // End caps (profiles are convex, so a fan from vertex 0 is enough)
+  for (const [y, ny] of [[-h, -1], [h, 1]]) {
+    const base = positions.length / 3;
+    for (const p of profile) { positions.push(p[0], y, p[1]); normals.push(0, ny, 0); }
+    for (let i = 1; i < n - 1; i++) {
+      if (ny > 0) indices.push(base, base + i + 1, base + i);
+      else        indices.push(base, base + i, base + i + 1);
+    }
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+  geo.setAttribute('normal',   new THREE.BufferAttribute(new Float32Array(normals),   3));
+  geo.setIndex(indices);
+  return geo;
+}
+
+/**
+ * Build a merged Three.js Mesh of oriented pipe bodies, one per pipe segment.
+ * Circular pipes are cylinders of their outer radius; box, egg and elliptical pipes are
+ * extruded profiles kept upright (height along world-up) while following the pipe's 3D axis.
  */
 function buildPipeNetworkMesh(objData) {
   const { pipeSegments, rawBBox } = objData;
@@ -249,6 +677,7 @@ function buildPipeNetworkMesh(objData) {
   const origin = getOrigin() || { x: 0, y: 0, z: 0 };
 
   const positions = [], normals = [], indices = [];
+  const parts = [];   // per-pipe triangle ranges for picking
   let vertOffset = 0;
   const yAxis = new THREE.Vector3(0, 1, 0);
 
@@ -258,19 +687,30 @@ function buildPipeNetworkMesh(objData) {
     const len = p1.distanceTo(p2);
     if (len < 1e-4) continue;
 
-    const cyl = new THREE.CylinderGeometry(seg.radiusOut, seg.radiusOut, len, 10, 1, false);
-
-    const dir  = new THREE.Vector3().subVectors(p2, p1).normalize();
-    const quat = new THREE.Quaternion();
-    const dot  = dir.dot(yAxis);
-    if (dot < -0.9999) {
-      quat.set(1, 0, 0, 0); // 180° around X for antiparallel case
-    } else if (dot < 0.9999) {
-      quat.setFromUnitVectors(yAxis, dir);
-    }
+    const dir = new THREE.Vector3().subVectors(p2, p1).normalize();
     const mid = p1.clone().add(p2).multiplyScalar(0.5);
-    cyl.applyMatrix4(new THREE.Matrix4().compose(mid, quat, new THREE.Vector3(1, 1, 1)));
+    let cyl;
+
+    if (!seg.shape || seg.shape === 'circ' || Math.abs(dir.y) > 0.9999) {
+      cyl = new THREE.CylinderGeometry(seg.radiusOut, seg.radiusOut, len, 10, 1, false);
+      const quat = new THREE.Quaternion();
+      const dot  = dir.dot(yAxis);
+      if (dot < -0.9999) {
+        quat.set(1, 0, 0, 0); // 180° around X for antiparallel case
+      } else if (dot < 0.9999) {
+        quat.setFromUnitVectors(yAxis, dir);
+      }
+      cyl.applyMatrix4(new THREE.Matrix4().compose(mid, quat, new THREE.Vector3(1, 1, 1)));
+    } else {
+      // Basis: local Y → pipe axis, local Z → "up" across the section, local X → width
+      cyl = buildProfilePrism(pipeProfile(seg.shape, seg.width, seg.height), len, seg.shape !== 'rect');
+      const side = new THREE.Vector3().crossVectors(dir, yAxis).normalize();
+      const up   = new THREE.Vector3().crossVectors(side, dir).normalize();
+      const basis = new THREE.Matrix4().makeBasis(side, dir, up).setPosition(mid);
+      cyl.applyMatrix4(basis);
+    }
 
+    const startTri = indices.length / 3;
     const pa = cyl.attributes.position.array;
     const na = cyl.attributes.normal.array;
     const ia = cyl.index.array;
@@ -279,6 +719,7 @@ function buildPipeNetworkMesh(objData) {
     for (let i = 0; i < ia.length; i++) indices.push(ia[i] + vertOffset);
     vertOffset += pa.length / 3;
     cyl.dispose();
+    parts.push({ startTri, endTri: indices.length / 3, kind: 'Pipe', name: seg.name, meta: seg.meta || {} });
   }
 
   if (positions.length === 0) return null;
@@ -289,12 +730,14 @@ function buildPipeNetworkMesh(objData) {
 
   const mesh = new THREE.Mesh(geo, new THREE.MeshStandardMaterial({ color: 0x00BFFF, roughness: 0.5, metalness: 0.15 }));
   mesh.name = objData.name;
+  mesh.userData.parts = parts;
   return mesh;
 }
 
 /**
  * Build a merged Three.js Mesh of vertical tapered cylinders, one per manhole structure.
  * Bottom radius = CircStruct radius; top radius = 25% of that (cone neck typical of manholes).
+ * RectStruct structures are boxes of their length × width instead.
  * Positioned from elevSump (barrel base) to elevRim (cover).
  */
 function buildStructureMesh(objData) {
@@ -303,11 +746,15 @@ function buildStructureMesh(objData) {
   const origin = getOrigin() || { x: 0, y: 0, z: 0 };
 
   const positions = [], normals = [], indices = [];
+  const parts = [];   // per-structure triangle ranges for picking
   let vertOffset = 0;
 
   for (const seg of structSegments) {
     const height = seg.zRim - seg.zSump;
     if (height < 1e-4) continue;
+    const startTri = indices.length / 3;
+    const part = { startTri, endTri: startTri, kind: 'Structure', name: seg.name, meta: seg.meta || {} };
+    parts.push(part);
 
     const rBase = seg.radiusOut;
     // Split into barrel (lower 80%) and cone neck (upper 20%) for manhole shape
@@ -318,6 +765,24 @@ function buildStructureMesh(objData) {
     const tx = seg.northing - origin.x;
     const tz = seg.easting  - origin.y;
 
+    // Rectangular catch basins / vaults: a plain box from sump to rim, turned to the
+    // azimuth of their first connected pipe (world X = northing, Z = easting)
+    if (seg.shape === 'rect') {
+      const box = new THREE.BoxGeometry(seg.length, height, seg.width);
+      box.applyMatrix4(new THREE.Matrix4().makeRotationY(-(seg.rotation || 0)));
+      box.applyMatrix4(new THREE.Matrix4().makeTranslation(tx, (seg.zSump - origin.z) + height / 2, tz));
+      const pa = box.attributes.position.array;
+      const na = box.attributes.normal.array;
+      const ia = box.index.array;
+      for (let i = 0; i < pa.length; i++) positions.push(pa[i]);
+      for (let i = 0; i < na.length; i++) normals.push(na[i]);
+      for (let i = 0; i < ia.length; i++) indices.push(ia[i] + vertOffset);
+      vertOffset += pa.length / 3;
+      box.dispose();
+      part.endTri = indices.length / 3;
+      continue;
+    }
+
     // Barrel: full-radius cylinder for lower portion
     const barrel = new THREE.CylinderGeometry(rBase, rBase, barrelH, 14, 1, false);
     const barrelMid = (seg.zSump + seg.zSump + barrelH) / 2 - origin.z; // midpoint of barrel
@@ -337,6 +802,7 @@ function buildStructureMesh(objData) {
       vertOffset += pa.length / 3;
       cyl.dispose();
     }
+    part.endTri = indices.length / 3;
   }
 
   if (positions.length === 0) return null;
@@ -347,12 +813,63 @@ function buildStructureMesh(objData) {
 
   const mesh = new THREE.Mesh(geo, new THREE.MeshStandardMaterial({ color: 0x40E0D0, roughness: 0.4, metalness: 0.2 }));
   mesh.name = objData.name + ' — Structures';
+  mesh.userData.parts = parts;
   return mesh;
 }
 
+/**
+ * Build an InstancedMesh of cone arrows pointing downstream (by invert drop) along each pipe,
+ * sitting just above the pipe crown. Long pipes get up to five evenly spaced arrows.
+ */
+function buildFlowArrows(objData) {
+  const { pipeSegments } = objData;
+  const origin = getOrigin() || { x: 0, y: 0, z: 0 };
+  const yAxis  = new THREE.Vector3(0, 1, 0);
+
+  const placements = [];
+  for (const seg of pipeSegments) {
+    const a = landxmlToThree(seg.start[0], seg.start[1], seg.start[2], origin);
+    const b = landxmlToThree(seg.end[0],   seg.end[1],   seg.end[2],   origin);
+    const [from, to] = seg.flowReversed ? [b, a] : [a, b];
+    const len = from.distanceTo(to);
+    if (len < 1e-4) continue;
+    const size = Math.max(seg.radiusOut, 0.1);
+    const dir  = new THREE.Vector3().subVectors(to, from).normalize();
+    const quat = new THREE.Quaternion().setFromUnitVectors(yAxis, dir);
+    const lift = (seg.height ?? seg.radiusOut * 2) / 2 + size;
+    const n    = Math.min(5, Math.max(1, Math.floor(len / (size * 20))));
+    for (let k = 1; k <= n; k++) {
+      const pos = from.clone().lerp(to, k / (n + 1));
+      pos.y += lift;
+      placements.push({ pos, quat, size });
+    }
+  }
+  if (placements.length === 0) return null;
+
+  const arrows = new THREE.InstancedMesh(
+    new THREE.ConeGeometry(0.6, 2, 10),
+    new THREE.MeshStandardMaterial({ color: 0xFFA500, roughness: 0.5, metalness: 0 }),
+    placements.length
+  );
+  const m = new THREE.Matrix4();
+  const box = new THREE.Box3();
+  placements.forEach(({ pos, quat, size }, i) => {
+    m.compose(pos, quat, new THREE.Vector3(size, size, size));
+    arrows.setMatrixAt(i, m);
+    box.expandByPoint(pos);
+  });
+  arrows.instanceMatrix.needsUpdate = true;
+  arrows.geometry.boundingBox = box;
+  arrows.name = objData.name + ' — Flow Arrows';
+  arrows.visible = false;
+  arrows.userData.isOverlay = true;
+  return arrows;
+}
+
 /**
  * Build a THREE.Group containing both the pipe mesh and structure mesh for a network.
  * The group is treated as a single scene object so visibility/delete affects both together.
+ * Flow-direction arrows are attached as a hidden overlay.
  */
 function buildNetworkMesh(objData) {
   const group = new THREE.Group();
@@ -365,12 +882,19 @@ function buildNetworkMesh(objData) {
     const structMesh = buildStructureMesh(objData);
     if (structMesh) group.add(structMesh);
   }
-  return group.children.length > 0 ? group : null;
+  if (group.children.length === 0) return null;
+  if (objData.pipeSegments) {
+    const arrows = buildFlowArrows(objData);
+    if (arrows) { group.add(arrows); group.userData.overlays = { flowArrows: arrows }; }
+  }
+  return group;
 }
 
 /** Recursively remove a mesh/group from the scene and dispose all GPU resources. */
 function disposeMesh(obj, scene) {
   if (!obj) return;
+  if (obj.userData.imagery) removeImageryLayer(obj);
+  if (obj.userData.lod) detachDEMLod(obj);
   scene.remove(obj);
   obj.traverse(child => {
     if (child.geometry) child.geometry.dispose();
@@ -396,49 +920,78 @@ const SAMPLES = {
 };
 
 /**
- * Parse content and load into scene. Routes LandXML to main thread, DEM to worker.
+ * Parse content in the worker and load into scene.
+ * @param {object} [options] - reader options from the upload step (e.g. point-file column mapping)
  */
-async function parseAndLoad(name, content, fileType, scene) {
+async function parseAndLoad(name, content, fileType, scene, options = {}) {
   setStatus(`Loading ${name}...`);
 
   try {
-    let result;
-    if (fileType === 'landxml') {
-      result = parseLandXML(content, name);
-    } else {
-      result = await workerParse(fileType, content, name);
+    // Keep LandXML text for round-trip save; it's re-parsed into a DOM only when exported
+    const xmlText = (fileType === 'landxml' && typeof content === 'string') ? content : null;
+    const result = await workerParse(fileType, content, name, { pointBudget: getPointBudget(), demTolerance: getDemTolerance(), ...options }, (fraction) => {
+      setStatus(`Loading ${name}... ${Math.round(fraction * 100)}%`);
+    });
+
+    const { surfaces, fileMeta, crsAttrs, styles = [], geographic = false } = result;
+
+    // Lon/lat degrees and projected coordinates can't share one scene until there's a reprojection path
+    if (getFiles().some(f => !!f.geographic !== geographic)) {
+      for (const s of surfaces) {
+        if (s.lod) workerParse('demRelease', null, s.name, { demId: s.lod.demId }).catch(() => {});
+      }
+      throw new Error(geographic
+        ? 'longitude/latitude data cannot be shown with the projected data already loaded'
+        : 'projected data cannot be shown with the longitude/latitude data already loaded');
     }
 
-    const { surfaces, fileMeta, crsAttrs, xmlDoc } = result;
-
     let surfaceIdx = 0;
     const objects = surfaces.map(surfData => {
       let mesh;
       if (surfData.pipeSegments || surfData.structSegments) {
         mesh = buildNetworkMesh(surfData);
+      } else if (surfData.points) {
+        mesh = buildPointsMesh(surfData);
+      } else if (surfData.pointBuffer) {
+        mesh = buildPointCloudFromWorkerData(surfData);
       } else if (surfData.lineBuffer) {
         mesh = buildLineFromWorkerData(surfData);
       } else {
         mesh = buildMeshFromWorkerData(surfData, surfaceIdx++);
       }
       if (!mesh) return null;
+      const type = surfData.type || 'Surface';
+      const saved = styles.find(st => st.name === surfData.name && (!st.type || st.type === type));
       return {
         mesh,
-        type: surfData.type || 'Surface',
+        type,
         name: surfData.name,
         metadata: surfData.meta || {},
+        ...(saved ? { style: { color: saved.color, displayMode: saved.displayMode } } : {}),
       };
     }).filter(Boolean);
 
+    // Orthophotos: a flat footprint in the tree, draped onto surfaces from their rows
+    if (result.imagery) {
+      objects.push({ mesh: buildImageryLayer(result.imagery), type: 'Imagery', name: result.imagery.name, metadata: result.imagery.meta });
+    }
+
     objects.forEach(obj => scene.add(obj.mesh));
-    const fileEntry = addFile(name, objects, fileMeta, xmlDoc ?? null);
+    const fileEntry = addFile(name, objects, fileMeta, xmlText);
+    if (geographic) fileEntry.geographic = true;
     setCRS(fileEntry.id, crsAttrs);
+    refreshImageryDrapes();
 
     const count      = objects.length;
     const allSurfaces = objects.every(o => o.type === 'Surface');
-    const label       = (fileType === 'geotiff' || fileType === 'asc') ? 'DEM'
-                      : allSurfaces ? 'surface' : 'object';
-    setStatus(`Loaded ${name} (${count} ${label}${count !== 1 ? 's' : ''})`);
+    const label       = ['geotiff', 'asc', 'xyz', 'flt'].includes(fileType) ? 'DEM'
+                      : allSurfaces ? 'surface'
+                      : objects.every(o => o.type === 'Model') ? 'model'
+                      : objects.every(o => o.type === 'PointCloud') ? 'point cloud'
+                      : objects.every(o => o.type === 'Points') ? 'point group'
+                      : objects.every(o => o.type === 'Imagery') ? 'image' : 'object';
+    const warning = geographic ? ' — longitude/latitude degrees, shown unprojected' : '';
+    setStatus(`Loaded ${name} (${count} ${label}${count !== 1 ? 's' : ''})${warning}`);
   } catch (err) {
     console.error(err);
     const msg = err?.message ? `: ${err.message}` : '';
@@ -498,8 +1051,8 @@ export function initFileHandler(scene, controls, camera) {
 
   // Handle uploaded files — parse and load into scene
   document.getElementById('data-panel-body').addEventListener('file-uploaded', async (e) => {
-    const { name, content, fileType } = e.detail;
-    await parseAndLoad(name, content, fileType, scene);
+    const { name, content, fileType, options } = e.detail;
+    await parseAndLoad(name, content, fileType, scene, options);
   });
 
   // Delete single object from data tree → remove mesh from scene and dispose resources
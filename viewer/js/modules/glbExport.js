@@ -0,0 +1,348 @@
+/**
+ * GLB Export
+ * Writes loaded objects to binary glTF 2.0 for Blender, game engines and other 3D tools.
+ *
+ * Each exported object becomes a node named after it (grouped under a node per file), with its
+ * current colour as the material. Geometry is taken as displayed: hidden overlays, DEM
+ * level-of-detail tiles (a DEM exports the overview mesh it was built from), imagery drapes
+ * and vertical exaggeration are left out. Flat-shaded surfaces are written without normals so
+ * importers facet them too.
+ *
+ * Scene space is (northing, elevation, easting); the GLB uses the glTF convention instead:
+ * +X east, +Y up, −Z north. Vertices stay in each object's local frame; the origin offset is
+ * either added to the object node translations (real-world coordinates) or left out and stored
+ * in the scene's extras.
+ */
+
+import * as THREE from '../libs/three.module.js';
+
+// Scene (northing, elevation, easting) → glTF (east, up, south)
+const TO_GLTF = new THREE.Matrix4().set(
+    0, 0, 1, 0,
+    0, 1, 0, 0,
+    -1, 0, 0, 0,
+    0, 0, 0, 1,
+);
+const FROM_GLTF = TO_GLTF.clone().invert();
+
+const GL = { UNSIGNED_BYTE: 5121, UNSIGNED_SHORT: 5123, UNSIGNED_INT: 5125, FLOAT: 5126 };
+const MODE = { POINTS: 0, LINES: 1, LINE_STRIP: 3, TRIANGLES: 4 };
+const ARRAY_BUFFER = 34962, ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * Build a GLB file.
+ * @param {{ name: string, objects: { name: string, type: string, mesh: THREE.Object3D }[] }[]} groups
+ *   - one node per group (e.g. per file); a group named null puts its objects directly at the root
+ * @param {{ origin: { x, y, z } | null, bakeOrigin: boolean, crs?: string }} options
+ *   - origin in LandXML space (x = northing, y = easting, z = elevation)
+ * @returns {ArrayBuffer}
+ */
+export function buildGLB(groups, { origin, bakeOrigin, crs }) {
+    const writer = new GLBWriter();
+    const offset = bakeOrigin && origin ? new THREE.Vector3(origin.x, origin.z, origin.y) : null;
+
+    const roots = [];
+    for (const group of groups) {
+        const children = [];
+        for (const obj of group.objects) {
+            const node = writer.addObject(obj.mesh, offset);
+            if (node === null) continue;
+            writer.json.nodes[node].name = obj.name;
+            writer.json.nodes[node].extras = { type: obj.type };
+            children.push(node);
+        }
+        if (group.name === null) roots.push(...children);
+        else if (children.length > 0) roots.push(writer.addNode({ name: group.name, children }));
+    }
+
+    const extras = { axes: '+X east, +Y up, -Z north' };
+    if (crs) extras.crs = crs;
+    if (origin && !bakeOrigin) extras.origin = { northing: origin.x, easting: origin.y, elevation: origin.z };
+    writer.json.scenes = [{ nodes: roots, extras }];
+    writer.json.scene = 0;
+    return writer.toArrayBuffer();
+}
+
+class GLBWriter {
+    constructor() {
+        this.json = {
+            asset: { version: '2.0', generator: 'Jackshit Viewer 3D' },
+            nodes: [], meshes: [], materials: [], accessors: [], bufferViews: [], buffers: [],
+        };
+        this.chunks = [];       // binary pieces, each starting 4-byte aligned
+        this.byteLength = 0;
+        this.materials = new Map();   // material key → index
+        this.usedExtensions = new Set();
+    }
+
+    addNode(node) {
+        this.json.nodes.push(node);
+        return this.json.nodes.length - 1;
+    }
+
+    /**
+     * Add an object and its visible children as nodes; `offset` (scene units) is added to the
+     * top-level translation. Returns the node index, or null if nothing in it can be exported.
+     */
+    addObject(object, offset = null) {
+        if (object.userData.isLodTile || object.userData.layer) return null;
+
+        const node = { name: object.name || undefined };
+        const mesh = this.addMesh(object);
+        if (mesh !== null) node.mesh = mesh;
+
+        const children = [];
+        for (const child of object.children) {
+            if (!child.visible) continue;
+            const index = this.addObject(child);
+            if (index !== null) children.push(index);
+        }
+        if (children.length > 0) node.children = children;
+        if (node.mesh === undefined && !node.children) return null;
+
+        setTransform(node, object, offset);
+        return this.addNode(node);
+    }
+
+    /** glTF mesh for a Mesh / InstancedMesh / LineSegments / Line / Points, or null. */
+    addMesh(object) {
+        const geometry = object.geometry;
+        const position = geometry?.getAttribute('position');
+        if (!position || position.count === 0) return null;
+
+        let mode;
+        if (object.isPoints) mode = MODE.POINTS;
+        else if (object.isLineSegments) mode = MODE.LINES;
+        else if (object.isLine) mode = MODE.LINE_STRIP;
+        else if (object.isMesh) mode = MODE.TRIANGLES;
+        else return null;
+
+        // Contour mode swaps in a shader; export the surface's own material
+        const material = object.userData._solidMaterial || object.material;
+        const vertexColors = !!material?.vertexColors && !!geometry.getAttribute('color');
+        const withNormals = mode === MODE.TRIANGLES && !material?.flatShading;
+
+        let positions = floatArray(position);
+        let normals = withNormals && geometry.getAttribute('normal') ? floatArray(geometry.getAttribute('normal')) : null;
+        let indices = geometry.index ? geometry.index.array : null;
+        if (object.isInstancedMesh) ({ positions, normals, indices } = bakeInstances(object, positions, normals, indices));
+
+        const attributes = { POSITION: this.addVec3Accessor(toGLTFAxes(positions), true) };
+        if (normals) attributes.NORMAL = this.addVec3Accessor(toGLTFAxes(normals), false);
+        if (vertexColors) attributes.COLOR_0 = this.addColorAccessor(geometry.getAttribute('color'));
+
+        const primitive = { attributes, mode, material: this.addMaterial(material, mode, vertexColors) };
+        if (indices) primitive.indices = this.addIndexAccessor(indices);
+
+        this.json.meshes.push({ name: object.name || undefined, primitives: [primitive] });
+        return this.json.meshes.length - 1;
+    }
+
+    /** Materials are shared between objects with the same colour and kind. */
+    addMaterial(material, mode, vertexColors) {
+        const unlit = mode !== MODE.TRIANGLES || material?.isMeshBasicMaterial;
+        // The viewer treats material colours as display (sRGB) values; glTF factors are linear
+        const color = vertexColors || !material?.color ? new THREE.Color(1, 1, 1) : material.color.clone().convertSRGBToLinear();
+        const opacity = material?.opacity ?? 1;
+        const doubleSided = material?.side === THREE.DoubleSide;
+        const roughness = material?.roughness ?? 1, metalness = material?.metalness ?? 0;
+        const key = [color.getHexString(), opacity, doubleSided, unlit, roughness, metalness].join('|');
+        if (this.materials.has(key)) return this.materials.get(key);
+
+        const out = {
+            pbrMetallicRoughness: {
+                baseColorFactor: [color.r, color.g, color.b, opacity],
+                metallicFactor: metalness,
+                roughnessFactor: roughness,
+            },
+        };
+        if (opacity < 1) out.alphaMode = 'BLEND';
+        if (doubleSided) out.doubleSided = true;
+        if (unlit) {
+            out.extensions = { KHR_materials_unlit: {} };
+            this.usedExtensions.add('KHR_materials_unlit');
+        }
+        this.json.materials.push(out);
+        this.materials.set(key, this.json.materials.length - 1);
+        return this.json.materials.length - 1;
+    }
+
+    addVec3Accessor(array, withBounds) {
+        const accessor = { bufferView: this.addBufferView(array, ARRAY_BUFFER), componentType: GL.FLOAT, count: array.length / 3, type: 'VEC3' };
+        if (withBounds) {
+            const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+            for (let i = 0; i < array.length; i += 3) {
+                for (let k = 0; k < 3; k++) {
+                    if (array[i + k] < min[k]) min[k] = array[i + k];
+                    if (array[i + k] > max[k]) max[k] = array[i + k];
+                }
+            }
+            accessor.min = min;
+            accessor.max = max;
+        }
+        return this.addAccessor(accessor);
+    }
+
+    addColorAccessor(attribute) {
+        const array = attribute.array;
+        let componentType = GL.FLOAT, data = array;
+        if (attribute.normalized && array instanceof Uint8Array) componentType = GL.UNSIGNED_BYTE;
+        else if (attribute.normalized && array instanceof Uint16Array) componentType = GL.UNSIGNED_SHORT;
+        else data = floatArray(attribute);
+        const itemSize = attribute.itemSize === 4 ? 4 : 3;
+        return this.addAccessor({
+            bufferView: this.addBufferView(data, ARRAY_BUFFER, componentType === GL.FLOAT ? undefined : itemSize * data.BYTES_PER_ELEMENT),
+            componentType,
+            ...(componentType === GL.FLOAT ? {} : { normalized: true }),
+            count: attribute.count,
+            type: itemSize === 4 ? 'VEC4' : 'VEC3',
+        });
+    }
+
+    addIndexAccessor(indices) {
+        let max = 0;
+        for (let i = 0; i < indices.length; i++) if (indices[i] > max) max = indices[i];
+        const data = max < 65535 && !(indices instanceof Uint16Array) ? Uint16Array.from(indices) : indices;
+        return this.addAccessor({
+            bufferView: this.addBufferView(data, ELEMENT_ARRAY_BUFFER),
+            componentType: data instanceof Uint16Array ? GL.UNSIGNED_SHORT : GL.UNSIGNED_INT,
+            count: data.length,
+            type: 'SCALAR',
+        });
+    }
+
+    addAccessor(accessor) {
+        this.json.accessors.push(accessor);
+        return this.json.accessors.length - 1;
+    }
+
+    addBufferView(array, target, byteStride) {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        const view = { buffer: 0, byteOffset: this.byteLength, byteLength: bytes.byteLength, target };
+        // Vertex attributes need 4-byte aligned strides; pad byte/short colour data when needed
+        if (byteStride !== undefined && byteStride % 4 !== 0) {
+            const stride = Math.ceil(byteStride / 4) * 4;
+            const count = bytes.byteLength / byteStride;
+            const padded = new Uint8Array(count * stride);
+            for (let i = 0; i < count; i++) padded.set(bytes.subarray(i * byteStride, (i + 1) * byteStride), i * stride);
+            view.byteLength = padded.byteLength;
+            view.byteStride = stride;
+            this.pushChunk(padded);
+        } else {
+            this.pushChunk(bytes);
+        }
+        this.json.bufferViews.push(view);
+        return this.json.bufferViews.length - 1;
+    }
+
+    pushChunk(bytes) {
+        this.chunks.push(bytes);
+        this.byteLength += bytes.byteLength;
+        const pad = (4 - (this.byteLength % 4)) % 4;
+        if (pad) {
+            this.chunks.push(new Uint8Array(pad));
+            this.byteLength += pad;
+        }
+    }
+
+    toArrayBuffer() {
+        if (this.byteLength > 0) this.json.buffers = [{ byteLength: this.byteLength }];
+        for (const key of ['nodes', 'meshes', 'materials', 'accessors', 'bufferViews', 'buffers']) {
+            if (this.json[key].length === 0) delete this.json[key];
+        }
+        if (this.usedExtensions.size > 0) this.json.extensionsUsed = [...this.usedExtensions];
+
+        const jsonBytes = new TextEncoder().encode(JSON.stringify(this.json));
+        const jsonPad = (4 - (jsonBytes.byteLength % 4)) % 4;
+        const jsonLength = jsonBytes.byteLength + jsonPad;
+        const binLength = this.byteLength;
+        const total = 12 + 8 + jsonLength + (binLength > 0 ? 8 + binLength : 0);
+
+        const out = new Uint8Array(total);
+        const view = new DataView(out.buffer);
+        view.setUint32(0, 0x46546C67, true);    // 'glTF'
+        view.setUint32(4, 2, true);
+        view.setUint32(8, total, true);
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, 0x4E4F534A, true);   // 'JSON'
+        out.set(jsonBytes, 20);
+        out.fill(0x20, 20 + jsonBytes.byteLength, 20 + jsonLength);
+        if (binLength > 0) {
+            let at = 20 + jsonLength;
+            view.setUint32(at, binLength, true);
+            view.setUint32(at + 4, 0x004E4942, true);   // 'BIN\0'
+            at += 8;
+            for (const chunk of this.chunks) {
+                out.set(chunk, at);
+                at += chunk.byteLength;
+            }
+        }
+        return out.buffer;
+    }
+}
+
+/**
+ * Write an object's transform onto a glTF node, converted to glTF axes and without vertical
+ * exaggeration; `offset` (scene units) is added to the translation.
+ */
+function setTransform(node, object, offset) {
+    const scale = object.scale.clone();
+    if (object.userData.baseScaleY !== undefined) scale.y = object.userData.baseScaleY;
+    const position = object.position.clone();
+    if (offset) position.add(offset);
+
+    const matrix = new THREE.Matrix4().compose(position, object.quaternion, scale);
+    matrix.premultiply(TO_GLTF).multiply(FROM_GLTF);
+    const t = new THREE.Vector3(), q = new THREE.Quaternion(), s = new THREE.Vector3();
+    matrix.decompose(t, q, s);
+
+    if (t.lengthSq() > 0) node.translation = t.toArray();
+    if (q.x !== 0 || q.y !== 0 || q.z !== 0) node.rotation = q.toArray();
+    if (s.x !== 1 || s.y !== 1 || s.z !== 1) node.scale = s.toArray();
+}
+
+/** Expand an InstancedMesh into one merged geometry (glTF core has no instancing). */
+function bakeInstances(object, positions, normals, indices) {
+    const count = object.count;
+    const vertexCount = positions.length / 3;
+    const outPositions = new Float32Array(positions.length * count);
+    const outNormals = normals ? new Float32Array(normals.length * count) : null;
+    const source = indices || Uint32Array.from({ length: vertexCount }, (_, i) => i);
+    const outIndices = new Uint32Array(source.length * count);
+
+    const matrix = new THREE.Matrix4(), normalMatrix = new THREE.Matrix3(), v = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+        object.getMatrixAt(i, matrix);
+        normalMatrix.getNormalMatrix(matrix);
+        const base = i * vertexCount;
+        for (let k = 0; k < vertexCount; k++) {
+            v.fromArray(positions, k * 3).applyMatrix4(matrix).toArray(outPositions, (base + k) * 3);
+            if (outNormals) v.fromArray(normals, k * 3).applyMatrix3(normalMatrix).normalize().toArray(outNormals, (base + k) * 3);
+        }
+        for (let k = 0; k < source.length; k++) outIndices[i * source.length + k] = source[k] + base;
+    }
+    return { positions: outPositions, normals: outNormals, indices: outIndices };
+}
+
+/** (northing, elevation, easting) triples → (east, up, south), as a new array. */
+function toGLTFAxes(array) {
+    const out = new Float32Array(array.length);
+    for (let i = 0; i < array.length; i += 3) {
+        out[i] = array[i + 2];
+        out[i + 1] = array[i + 1];
+        out[i + 2] = -array[i];
+    }
+    return out;
+}
+
+/** Attribute values as a plain Float32Array (dequantising normalized integer data). */
+function floatArray(attribute) {
+    if (attribute.array instanceof Float32Array && !attribute.normalized) return attribute.array;
+    const itemSize = attribute.itemSize;
+    const out = new Float32Array(attribute.count * itemSize);
+    const getters = ['getX', 'getY', 'getZ', 'getW'];
+    for (let i = 0; i < attribute.count; i++) {
+        for (let k = 0; k < itemSize; k++) out[i * itemSize + k] = attribute[getters[k]](i);
+    }
+    return out;
+}
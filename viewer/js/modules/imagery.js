@@ -0,0 +1,176 @@
+/**
+ * Imagery
+ * Orthophoto layers (RGB GeoTIFF, or PNG/JPG with a world file) draped on Surface and DEM meshes.
+ *
+ * Each loaded image is listed in the data tree as an 'Imagery' object whose mesh is a flat
+ * footprint laid under the loaded terrain. Every Surface/DEM it overlaps gets a hidden
+ * 'imagery' overlay — a textured copy of the mesh sharing its geometry — toggled per object.
+ * Where several layers overlap a mesh, the most recently loaded one is draped.
+ */
+
+import * as THREE from '../libs/three.module.js';
+import { getFiles, setOverlay } from './sceneData.js';
+import { getOrigin, initOriginFromPoints } from './crsManager.js';
+
+const DRAPE_TYPES = ['Surface', 'DEM'];
+
+const layers = [];   // { name, texture, bounds: { minE, maxE, minN, maxN }, footprint }, newest last
+
+// Texels outside the image leave the surface its plain grey instead of smearing the edge pixels
+const CLIPPED_MAP_FRAGMENT = `
+#ifdef USE_MAP
+  if (vUv.x >= 0.0 && vUv.x <= 1.0 && vUv.y >= 0.0 && vUv.y <= 1.0) {
+    diffuseColor *= texture2D(map, vUv);
+  } else {
+    diffuseColor.rgb *= 0.5;
+  }
+#endif
+`;
+
+/**
+ * Register an imagery layer from the worker's { name, bitmap, bounds } and build its footprint mesh.
+ * @returns {THREE.Mesh} footprint to add to the scene and the data tree
+ */
+export function buildImageryLayer(imagery) {
+    const { bitmap, bounds } = imagery;
+    const texture = new THREE.Texture(bitmap);
+    texture.flipY = false;   // ImageBitmaps upload top row first: v = 0 is the north edge
+    texture.wrapS = texture.wrapT = THREE.ClampToEdgeWrapping;
+    texture.needsUpdate = true;
+
+    initOriginFromPoints([[(bounds.minN + bounds.maxN) / 2, (bounds.minE + bounds.maxE) / 2, 0]]);
+    const origin = getOrigin() || { x: 0, y: 0, z: 0 };
+
+    // Scene space is (northing, elevation, easting) minus the origin
+    const n0 = bounds.minN - origin.x, n1 = bounds.maxN - origin.x;
+    const e0 = bounds.minE - origin.y, e1 = bounds.maxE - origin.y;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array([
+        n1, 0, e0,   n0, 0, e0,   n1, 0, e1,
+        n1, 0, e1,   n0, 0, e0,   n0, 0, e1,
+    ]), 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(new Float32Array([
+        0, 0,   0, 1,   1, 0,
+        1, 0,   0, 1,   1, 1,
+    ]), 2));
+    geometry.computeVertexNormals();
+
+    const footprint = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide }));
+    footprint.name = imagery.name;
+    footprint.position.y = floorElevation();
+
+    const layer = { name: imagery.name, texture, bounds, footprint };
+    footprint.userData.imagery = layer;
+    layers.push(layer);
+    return footprint;
+}
+
+/** Unregister the layer behind a footprint mesh and re-drape the meshes that used it. */
+export function removeImageryLayer(footprint) {
+    const layer = footprint?.userData.imagery;
+    const idx = layers.indexOf(layer);
+    if (idx === -1) return;
+    layers.splice(idx, 1);
+    refreshImageryDrapes();
+    layer.texture.dispose();
+}
+
+/**
+ * Give every loaded Surface/DEM the newest imagery layer that overlaps it (or none).
+ * Call after loading files or removing a layer; unchanged drapes are left alone.
+ */
+export function refreshImageryDrapes() {
+    for (const file of getFiles()) {
+        for (const type of DRAPE_TYPES) {
+            for (const obj of file.groups[type] || []) {
+                const mesh = obj.mesh;
+                if (!mesh?.isMesh) continue;
+                const current = mesh.userData.overlays?.imagery;
+                const layer = [...layers].reverse().find(l => overlaps(mesh, l.bounds)) || null;
+                if ((current?.userData.layer || null) === layer) continue;
+
+                const wasVisible = !!current?.visible;
+                if (current) {
+                    mesh.remove(current);
+                    current.material.dispose();
+                }
+                if (layer) {
+                    const drape = buildDrape(mesh, layer);
+                    drape.visible = wasVisible;
+                    mesh.add(drape);
+                    setOverlay(obj.id, 'imagery', drape);
+                } else {
+                    setOverlay(obj.id, 'imagery', null);
+                }
+            }
+        }
+    }
+}
+
+/** Textured copy of a surface mesh, UV-mapped from its real-world position onto the layer. */
+function buildDrape(mesh, layer) {
+    const geometry = mesh.geometry;
+    setDrapeUV(mesh, geometry, layer.bounds);
+
+    const solid = mesh.userData._solidMaterial || mesh.material;
+    const material = new THREE.MeshStandardMaterial({
+        map: layer.texture,
+        roughness: 1,
+        metalness: 0,
+        side: THREE.DoubleSide,
+        flatShading: solid.flatShading,
+        // Pulled towards the camera so it always wins over the surface it copies
+        polygonOffset: true,
+        polygonOffsetFactor: solid.polygonOffsetFactor - 1,
+        polygonOffsetUnits: solid.polygonOffsetUnits - 1,
+    });
+    material.onBeforeCompile = (shader) => {
+        shader.fragmentShader = shader.fragmentShader.replace('#include <map_fragment>', CLIPPED_MAP_FRAGMENT);
+    };
+
+    const drape = new THREE.Mesh(geometry, material);
+    drape.name = `${mesh.name} — Imagery`;
+    drape.userData.isOverlay = true;
+    drape.userData.layer = layer;
+    drape.userData.meta = { 'Imagery': layer.name };
+    return drape;
+}
+
+/**
+ * Give a geometry in the surface mesh's local space (its own, or a level-of-detail tile's)
+ * a uv attribute mapping its real-world position onto the layer bounds.
+ */
+export function setDrapeUV(mesh, geometry, bounds) {
+    const pos = geometry.getAttribute('position');
+    const origin = getOrigin() || { x: 0, y: 0, z: 0 };
+    const { minE, maxE, minN, maxN } = bounds;
+    const e0 = minE - origin.y - mesh.position.z, nTop = maxN - origin.x - mesh.position.x;
+
+    const uv = new Float32Array(pos.count * 2);
+    for (let i = 0; i < pos.count; i++) {
+        uv[i * 2]     = (pos.getZ(i) - e0) / (maxE - minE);
+        uv[i * 2 + 1] = (nTop - pos.getX(i)) / (maxN - minN);
+    }
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uv, 2));
+}
+
+/** Does the mesh's horizontal extent intersect the layer's footprint? */
+function overlaps(mesh, bounds) {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    const box = mesh.geometry.boundingBox;
+    const origin = getOrigin() || { x: 0, y: 0, z: 0 };
+    const minN = box.min.x + mesh.position.x + origin.x, maxN = box.max.x + mesh.position.x + origin.x;
+    const minE = box.min.z + mesh.position.z + origin.y, maxE = box.max.z + mesh.position.z + origin.y;
+    return minN < bounds.maxN && maxN > bounds.minN && minE < bounds.maxE && maxE > bounds.minE;
+}
+
+/** Scene elevation just under everything loaded, so the flat footprint sits below the terrain. */
+function floorElevation() {
+    const box = new THREE.Box3();
+    for (const file of getFiles()) {
+        for (const group of Object.values(file.groups)) {
+            for (const obj of group) if (obj.mesh && !obj.mesh.userData.imagery) box.expandByObject(obj.mesh);
+        }
+    }
+    return box.isEmpty() ? 0 : box.min.y - 0.01 * (box.max.y - box.min.y);
+}
@@ -0,0 +1,120 @@
+/**
+ * LandXML Export
+ * Writes triangulated surfaces as a LandXML 1.2 document — one <Surface> per object with
+ * Pnts/Faces — for files that have no LandXML source to save back (DEMs, models, DXF, ...).
+ * Units and the CoordinateSystem element come from the source file's metadata.
+ */
+
+// Source unit names (WKT, DXF, GeoTIFF, LandXML) → LandXML unit system and linear unit
+const LINEAR_UNITS = [
+    [/us.?survey|foot.?us|us.?f(oo|ee)?t/i, 'Imperial', 'USSurveyFoot'],
+    [/^(foot|feet|ft)|international.?f/i, 'Imperial', 'foot'],
+    [/inch/i, 'Imperial', 'inch'],
+    [/^milli/i, 'Metric', 'millimeter'],
+    [/^centi/i, 'Metric', 'centimeter'],
+    [/^kilo/i, 'Metric', 'kilometer'],
+    [/^met(er|re)s?$/i, 'Metric', 'meter'],
+];
+
+const UNIT_SYSTEMS = {
+    Metric:   { areaUnit: 'squareMeter', volumeUnit: 'cubicMeter', temperatureUnit: 'celsius', pressureUnit: 'milliBars' },
+    Imperial: { areaUnit: 'squareFoot', volumeUnit: 'cubicYard', temperatureUnit: 'fahrenheit', pressureUnit: 'inchHG' },
+};
+
+const LINES_PER_PART = 10000;
+
+/**
+ * Build a LandXML 1.2 document for a set of surfaces.
+ * Faces are written counter-clockwise seen from above, whatever order they come in.
+ * @param {{ name: string, points: Float64Array, faces: Uint32Array }[]} surfaces
+ *   - points as real-world [northing, easting, elevation] triples, faces as 0-based point indices
+ * @param {{ linearUnit?: string, crs?: object, source?: string }} info - source 'Linear Unit',
+ *   the file's CRS attributes (CRS, Coordinate System, Datum, ...) and the source file name
+ * @returns {string[]} the document in pieces, ready for a Blob
+ */
+export function buildSurfaceLandXML(surfaces, { linearUnit, crs, source } = {}) {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    const time = `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+
+    const [system, unit] = landXMLUnit(linearUnit);
+    const parts = [
+        '<?xml version="1.0" encoding="UTF-8"?>\n',
+        '<LandXML xmlns="http://www.landxml.org/schema/LandXML-1.2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        ' xsi:schemaLocation="http://www.landxml.org/schema/LandXML-1.2 http://www.landxml.org/schema/LandXML-1.2/LandXML-1.2.xsd"',
+        ` version="1.2" date="${date}" time="${time}">\n`,
+        `  <Units>\n    <${system} ${attrs({ linearUnit: unit, ...UNIT_SYSTEMS[system] })}/>\n  </Units>\n`,
+    ];
+    const crsEl = coordinateSystemAttrs(crs);
+    if (crsEl) parts.push(`  <CoordinateSystem ${crsEl}/>\n`);
+    parts.push(`  <Application ${attrs({ name: 'Jackshit Viewer 3D', desc: source ? `Exported from ${source}` : undefined })}/>\n`);
+    parts.push('  <Surfaces>\n');
+    for (const surface of surfaces) writeSurface(parts, surface);
+    parts.push('  </Surfaces>\n</LandXML>\n');
+    return parts;
+}
+
+function writeSurface(parts, { name, points, faces }) {
+    let elevMin = Infinity, elevMax = -Infinity;
+    for (let i = 2; i < points.length; i += 3) {
+        if (points[i] < elevMin) elevMin = points[i];
+        if (points[i] > elevMax) elevMax = points[i];
+    }
+    parts.push(`    <Surface ${attrs({ name })}>\n`);
+    parts.push(`      <Definition ${attrs({ surfType: 'TIN', elevMax: round(elevMax), elevMin: round(elevMin) })}>\n        <Pnts>\n`);
+    let lines = [];
+    const flush = () => { parts.push(lines.join('')); lines = []; };
+    for (let i = 0; i < points.length / 3; i++) {
+        lines.push(`          <P id="${i + 1}">${round(points[i * 3])} ${round(points[i * 3 + 1])} ${round(points[i * 3 + 2])}</P>\n`);
+        if (lines.length === LINES_PER_PART) flush();
+    }
+    flush();
+    parts.push('        </Pnts>\n        <Faces>\n');
+    for (let k = 0; k < faces.length; k += 3) {
+        const a = faces[k], b = faces[k + 1], c = faces[k + 2];
+        // Cross product in (easting, northing): positive is counter-clockwise
+        const cross = (points[b * 3 + 1] - points[a * 3 + 1]) * (points[c * 3] - points[a * 3])
+                    - (points[b * 3] - points[a * 3]) * (points[c * 3 + 1] - points[a * 3 + 1]);
+        lines.push(cross >= 0 ? `          <F>${a + 1} ${b + 1} ${c + 1}</F>\n` : `          <F>${a + 1} ${c + 1} ${b + 1}</F>\n`);
+        if (lines.length === LINES_PER_PART) flush();
+    }
+    flush();
+    parts.push('        </Faces>\n      </Definition>\n    </Surface>\n');
+}
+
+/** [unit system, LandXML linear unit] for a source unit name; metres when unknown. */
+function landXMLUnit(name) {
+    const text = String(name || '').trim();
+    const hit = LINEAR_UNITS.find(([re]) => re.test(text));
+    return hit ? [hit[1], hit[2]] : ['Metric', 'meter'];
+}
+
+/** CoordinateSystem attributes from the file's CRS info, read back the same way on import. */
+function coordinateSystemAttrs(crs) {
+    if (!crs || !crs.CRS) return '';
+    const epsg = /EPSG:+(\d+)/i.exec(crs.CRS);
+    return attrs({
+        desc: crs.CRS,
+        ...(epsg ? { epsgCode: epsg[1] } : {}),
+        horizontalCoordinateSystemName: crs['Coordinate System'],
+        horizontalDatum: crs['Horizontal Datum'],
+        verticalDatum: crs['Vertical Datum'],
+        datum: crs.Datum,
+    });
+}
+
+function attrs(values) {
+    return Object.entries(values)
+        .filter(([, v]) => v !== undefined && v !== null && v !== '')
+        .map(([k, v]) => `${k}="${escapeXML(String(v))}"`)
+        .join(' ');
+}
+
+function escapeXML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function round(v) {
+    return Math.round(v * 1e4) / 1e4;
+}
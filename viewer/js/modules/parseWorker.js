@@ -1,14 +1,34 @@
 /**
  * Parse Worker
  * Runs heavy file parsing off the main thread so the UI stays responsive.
+ * Loaded as a module worker so LandXML interpretation (xmlParser.js) and TIFF decoding (tiffReader.js) are shared modules.
  *
- * Receives: { type: 'landxml'|'geotiff'|'asc', content, fileName }
- * Returns:  { surfaces: [ { name, vertexBuffer, centroid, rawBBox, meta } ], fileMeta, crsAttrs }
+ * Receives: { id, type, content, fileName, options? } where type is one of
+ *   files:  'landxml' | 'geotiff' | 'asc' | 'flt' | 'xyz' | 'obj' | 'ply' | 'stl' | 'las' | 'points'
+ *           | 'dxf' | 'geojson' | 'shapefile' | 'image'
+ *   DEMs:   'demTile' | 'demTIN' | 'demRelease'
+ *   export: 'meshTIN' — a triangle soup's local positions, merged into a TIN (buildMeshTIN)
+ * Posts:    { id, progress } while parsing (0–1), then
+ *           { id, ok, surfaces: [ { name, vertexBuffer, indexBuffer?, centroid, rawBBox, meta } ], fileMeta, crsAttrs,
+ *             styles?, imagery?, geographic? } — or { id, ok, tile } / { id, ok, tin } for DEM requests
  *
- * The vertexBuffer is a Float32Array (transferable) with centroid-relative vertices.
+ * DEM tiles and exports ('demTile', 'demTIN', 'demRelease') address a loaded grid by options.demId.
+ *
+ * options: { pointBudget } — maximum points kept from a LAS point cloud;
+ *          { demTolerance } — vertical error allowed when simplifying DEM grids;
+ *          point files also carry their column mapping (see parsePointFile);
+ *          { companions } — sidecar texts (.hdr, .prj, .aux.xml, world files) keyed by extension.
+ *
+ * The vertexBuffer is a Float32Array (transferable) with centroid-relative vertices, shared
+ * through an indexBuffer (Uint32Array) for TIN surfaces and DEMs and one per corner otherwise;
+ * point clouds carry a pointBuffer (plus rgb / classification arrays) instead.
  * The main thread builds Three.js meshes from these lightweight results.
  */
 
+import { parseLandXMLDocument, pointAttributeRows, pointElevationRows } from './xmlParser.js';
+import { splitPointLine } from './pointFile.js';
+import { openTIFF } from './tiffReader.js';
+
 // ── Shared helpers ──────────────────────────────────
 
 function computeBBox(rawPoints) {
@@ -50,15 +70,8 @@ function parseASCGrid(text) {
     dataStartLine = i + 1;
   }
 
-  const ncols = header.ncols;
-  const nrows = header.nrows;
-  const cellsize = header.cellsize;
-  if (!ncols || !nrows || !cellsize) throw new Error('Invalid ASCII Grid');
-
-  const nodata = header.nodata_value ?? header.nodata ?? -9999;
-  const isCenter = ('xllcenter' in header);
-  const xll = (header.xllcorner ?? header.xllcenter ?? 0) - (isCenter ? cellsize / 2 : 0);
-  const yll = (header.yllcorner ?? header.yllcenter ?? 0) - (isCenter ? cellsize / 2 : 0);
+  const { ncols, nrows } = header;
+  if (!ncols || !nrows || !header.cellsize) throw new Error('Invalid ASCII Grid');
 
   const data = new Float64Array(ncols * nrows);
   let idx = 0;
@@ -70,47 +83,134 @@ function parseASCGrid(text) {
     }
   }
 
+  return esriGridData(header, data, 'ASCII Grid');
+}
+
+/** ESRI grid header (ncols, nrows, x/yllcorner|center, cellsize, nodata_value) + row-major data → gridData. */
+function esriGridData(header, data, formatLabel) {
+  const { ncols, nrows, cellsize } = header;
+  const nodata = header.nodata_value ?? header.nodata ?? -9999;
+  const isCenter = ('xllcenter' in header);
+  const xll = (header.xllcorner ?? header.xllcenter ?? 0) - (isCenter ? cellsize / 2 : 0);
+  const yll = (header.yllcorner ?? header.yllcenter ?? 0) - (isCenter ? cellsize / 2 : 0);
+
   return {
     width: ncols, height: nrows, data,
     origin: { easting: xll, northing: yll + nrows * cellsize },
     resolution: { x: cellsize, y: -cellsize },
     nodata, crs: null,
-    meta: { 'Format': 'ASCII Grid', 'Grid Size': `${ncols} × ${nrows}`, 'Cell Size': `${cellsize}`, 'NODATA Value': `${nodata}` }
+    meta: { 'Format': formatLabel, 'Grid Size': `${ncols} × ${nrows}`, 'Cell Size': `${cellsize}`, 'NODATA Value': `${nodata}` }
   };
 }
 
-// ── DEM: GeoTIFF parsing (uses geotiff.js loaded via importScripts) ──
+// ── DEM: ESRI binary float grid (.flt + .hdr) ───────
+
+function parseFLTGrid(buffer, hdrText) {
+  if (!hdrText) throw new Error('Missing .hdr header — select the .flt together with its .hdr');
+  const header = {};
+  for (const line of hdrText.split(/\r?\n/)) {
+    const m = line.trim().match(/^(\w+)\s+(\S+)/);
+    if (m) header[m[1].toLowerCase()] = isNaN(+m[2]) ? m[2].toUpperCase() : +m[2];
+  }
+  const { ncols, nrows } = header;
+  if (!ncols || !nrows || !header.cellsize) throw new Error('Invalid .hdr header');
+  if (buffer.byteLength < ncols * nrows * 4) throw new Error(`.flt is ${buffer.byteLength} bytes, expected ${ncols * nrows * 4} for ${ncols} × ${nrows}`);
+
+  const little = header.byteorder !== 'MSBFIRST' && header.byteorder !== 'M';
+  const view = new DataView(buffer);
+  const data = new Float64Array(ncols * nrows);
+  for (let i = 0; i < data.length; i++) data[i] = view.getFloat32(i * 4, little);
 
-async function parseGeoTIFFInWorker(arrayBuffer) {
-  // geotiff loaded via importScripts in the message handler
-  const tiff = await GeoTIFF.fromArrayBuffer(arrayBuffer);
-  const image = await tiff.getImage();
-  const width  = image.getWidth();
-  const height = image.getHeight();
-  const origin = image.getOrigin();
-  const res    = image.getResolution();
-  const bbox   = image.getBoundingBox();
+  // Float32 NODATA values (e.g. -3.4028235e38) only match after the same rounding
+  const grid = esriGridData(header, data, 'ESRI Float Grid');
+  if (grid.nodata !== null) grid.nodata = Math.fround(grid.nodata);
+  grid.meta['Byte Order'] = little ? 'LSB first' : 'MSB first';
+  return grid;
+}
 
-  const rasters = await image.readRasters();
-  const elevBand = rasters[0];
-  const data = new Float64Array(elevBand.length);
-  for (let i = 0; i < elevBand.length; i++) data[i] = elevBand[i];
+// ── DEM: XYZ grid ───────────────────────────────────
+// "x y z" rows (whitespace, comma or semicolon separated) that sit on a regular lattice.
+// Cells without a sample become NaN (no data); scattered points are rejected.
 
-  let nodata = null;
-  try { if (typeof image.getGDALNoData === 'function') { const nd = image.getGDALNoData(); if (nd !== null && nd !== undefined) nodata = nd; } } catch(_) {}
-  if (nodata === null) {
-    try {
-      const fd = image.fileDirectory;
-      if (fd?.hasTag?.('GDAL_NODATA')) nodata = parseFloat(fd.getValue('GDAL_NODATA'));
-      else if (fd?.GDAL_NODATA !== undefined) nodata = parseFloat(fd.GDAL_NODATA);
-    } catch(_) {}
+function parseXYZGrid(text) {
+  const xs = [], ys = [], zs = [];
+  for (const line of text.split(/\r?\n/)) {
+    const tok = line.trim().split(/[\s,;]+/);
+    if (tok.length < 3) continue;
+    const x = +tok[0], y = +tok[1], z = +tok[2];
+    if (isNaN(x) || isNaN(y) || isNaN(z)) continue;   // header or comment rows
+    xs.push(x); ys.push(y); zs.push(z);
   }
+  if (xs.length < 4) throw new Error('XYZ file has too few points');
 
-  let crsEpsg = null;
-  try {
-    const gk = (typeof image.getGeoKeys === 'function') ? image.getGeoKeys() : image.geoKeys;
-    if (gk) crsEpsg = gk.ProjectedCSTypeGeoKey || gk.GeographicTypeGeoKey || null;
-  } catch(_) {}
+  const sx = latticeAxis(xs), sy = latticeAxis(ys);
+  if (!sx || !sy || sx.count * sy.count > xs.length * 4) {
+    throw new Error('XYZ points do not form a regular grid — import them as a point file (.txt) instead');
+  }
+
+  const width = sx.count, height = sy.count;
+  const data = new Float64Array(width * height).fill(NaN);
+  for (let i = 0; i < xs.length; i++) {
+    const col = Math.round((xs[i] - sx.min) / sx.step);
+    const row = Math.round((sy.max - ys[i]) / sy.step);   // row 0 = north edge
+    data[row * width + col] = zs[i];
+  }
+  let missing = 0;
+  for (let i = 0; i < data.length; i++) if (isNaN(data[i])) missing++;
+
+  return {
+    width, height, data,
+    // Samples are cell centres; like ASCII Grid, the origin is the corner half a cell out
+    origin: { easting: sx.min - sx.step / 2, northing: sy.max + sy.step / 2 },
+    resolution: { x: sx.step, y: -sy.step },
+    nodata: null, crs: null,
+    meta: {
+      'Format': 'XYZ Grid', 'Grid Size': `${width} × ${height}`,
+      'Cell Size': sx.step === sy.step ? `${sx.step}` : `${sx.step} × ${sy.step}`,
+      ...(missing > 0 ? { 'Missing Cells': missing } : {}),
+    }
+  };
+}
+
+/**
+ * Regular spacing of one coordinate axis: { min, max, step, count }, or null if the
+ * distinct values don't fall on a common step (within 1% of it).
+ */
+function latticeAxis(values) {
+  const uniq = [...new Set(values)].sort((a, b) => a - b);
+  if (uniq.length < 2) return null;
+  const min = uniq[0], max = uniq[uniq.length - 1];
+  const eps = (max - min) * 1e-9;
+  let step = Infinity;
+  for (let i = 1; i < uniq.length; i++) {
+    const d = uniq[i] - uniq[i - 1];
+    if (d > eps && d < step) step = d;
+  }
+  for (const v of uniq) {
+    const k = (v - min) / step;
+    if (Math.abs(k - Math.round(k)) > 0.01) return null;
+  }
+  return { min, max, step, count: Math.round((max - min) / step) + 1 };
+}
+
+// ── DEM: GeoTIFF parsing (tiffReader.js, first band) ─
+
+/** EPSG code from the projected or geographic CRS GeoKey (32767 means user-defined, not EPSG). */
+function geoTIFFEpsg(image) {
+  const gk = image.geoKeys;
+  const code = gk?.ProjectedCSTypeGeoKey || gk?.GeographicTypeGeoKey || null;
+  return code === 32767 ? null : code;
+}
+
+// EPSG unit-of-measure codes used by ProjLinearUnitsGeoKey
+const GEOTIFF_LINEAR_UNITS = { 9001: 'metre', 9002: 'foot', 9003: 'US survey foot' };
+
+/** Elevation grid from a GeoTIFF already opened with openTIFF (first band). */
+async function parseGeoTIFFInWorker(image) {
+  const { width, height, origin, resolution: res, bbox, nodata } = image;
+  const [data] = await image.readBands([0]);
+  const crsEpsg = geoTIFFEpsg(image);
+  const linearUnit = GEOTIFF_LINEAR_UNITS[image.geoKeys?.ProjLinearUnitsGeoKey];
 
   return {
     width, height, data,
@@ -124,90 +224,929 @@ async function parseGeoTIFFInWorker(arrayBuffer) {
       'Bounding Box': `E: ${bbox[0].toFixed(2)} - ${bbox[2].toFixed(2)}, N: ${bbox[1].toFixed(2)} - ${bbox[3].toFixed(2)}`,
       ...(nodata !== null ? { 'NODATA Value': `${nodata}` } : {}),
       ...(crsEpsg ? { 'EPSG': `${crsEpsg}` } : {}),
+      ...(linearUnit ? { 'Linear Unit': linearUnit } : {}),
     }
   };
 }
 
-// ── DEM: Grid → triangulated surface data ───────────
+// ── DEM: Grid → tiled level-of-detail surface data ──
+// The full-resolution grid stays in the worker (demStore). The main thread gets a coarse
+// root tile covering the whole DEM, then requests finer tiles (quadtree: level L samples
+// every 2^L cells, DEM_TILE cells per side) as the camera gets close. Each tile is simplified
+// to the user's vertical tolerance, and tile edges carry skirts so neighbours at different
+// levels or simplifications don't show cracks.
 
-const MAX_GRID_DIM = 1024;
+const DEM_TILE = 256;
+const demStore = new Map();   // demId → { width, height, heights, gridOrigin, resolution, centroid, levels, tolerance }
+let nextDemId = 0;
 
-function buildDEMSurface(gridData, surfaceName) {
+function buildDEMSurface(gridData, surfaceName, tolerance = 0) {
   const { width, height, data, origin: gridOrigin, resolution, nodata } = gridData;
 
-  const maxDim = Math.max(width, height);
-  const step = maxDim > MAX_GRID_DIM ? Math.ceil(maxDim / MAX_GRID_DIM) : 1;
-  const sampledW = Math.floor((width - 1) / step) + 1;
-  const sampledH = Math.floor((height - 1) / step) + 1;
-  const downsampled = step > 1;
-
-  const rawPoints = [];
-  const grid  = new Float64Array(sampledW * sampledH);
-  const valid = new Uint8Array(sampledW * sampledH);
-
-  for (let sr = 0; sr < sampledH; sr++) {
-    const origRow = sr * step;
-    for (let sc = 0; sc < sampledW; sc++) {
-      const origCol = sc * step;
-      const val = data[origRow * width + origCol];
-      const idx = sr * sampledW + sc;
+  // Float32 heights with NaN for no-data halve the memory kept for tiles
+  const heights = new Float32Array(width * height);
+  let count = 0, sn = 0, se = 0, sz = 0;
+  let minN = Infinity, minE = Infinity, minZ = Infinity;
+  let maxN = -Infinity, maxE = -Infinity, maxZ = -Infinity;
+  for (let row = 0; row < height; row++) {
+    const northing = gridOrigin.northing + row * resolution.y;
+    for (let col = 0; col < width; col++) {
+      const idx = row * width + col;
+      const val = data[idx];
       if ((nodata !== null && val === nodata) || isNaN(val) || !isFinite(val) || val < -1e+10 || val > 1e+10) {
-        valid[idx] = 0; grid[idx] = 0; continue;
+        heights[idx] = NaN; continue;
       }
-      const easting  = gridOrigin.easting  + origCol * resolution.x;
-      const northing = gridOrigin.northing + origRow * resolution.y;
-      grid[idx] = val; valid[idx] = 1;
-      rawPoints.push([northing, easting, val]);
+      const easting = gridOrigin.easting + col * resolution.x;
+      heights[idx] = val;
+      count++; sn += northing; se += easting; sz += val;
+      if (northing < minN) minN = northing; if (northing > maxN) maxN = northing;
+      if (easting  < minE) minE = easting;  if (easting  > maxE) maxE = easting;
+      if (val < minZ) minZ = val; if (val > maxZ) maxZ = val;
+    }
+  }
+  gridData.data = null;
+
+  if (count === 0) throw new Error('DEM contains no valid elevation data');
+
+  const centroid = { x: sn / count, y: se / count, z: sz / count };
+  const bbox = {
+    min: { x: minN, y: minE, z: minZ },
+    max: { x: maxN, y: maxE, z: maxZ },
+    centroid: { x: (minN + maxN) / 2, y: (minE + maxE) / 2, z: (minZ + maxZ) / 2 }
+  };
+  // Native triangle count, reported even though only the finest tiles ever show all of them
+  let quads = 0;
+  for (let row = 0; row < height - 1; row++) {
+    for (let col = 0; col < width - 1; col++) {
+      const i = row * width + col;
+      if (!isNaN(heights[i]) && !isNaN(heights[i + 1]) && !isNaN(heights[i + width]) && !isNaN(heights[i + width + 1])) quads++;
     }
   }
 
-  if (rawPoints.length === 0) throw new Error('DEM contains no valid elevation data');
+  const levels = Math.max(0, Math.ceil(Math.log2(Math.max(width, height) / DEM_TILE)));
+  const dem = { width, height, heights, gridOrigin, resolution, centroid, levels, tolerance };
 
-  const centroid = computeCentroid(rawPoints);
-  const cx = centroid.x, cy = centroid.y, cz = centroid.z;
+  const root = buildDEMTile(dem, levels, 0, 0, { skirts: false });
+  const { vertexBuffer, indexBuffer } = root;
+  if (indexBuffer.length === 0) throw new Error('No valid triangles from DEM');
+  const reduction = `${(root.gridTriangles / root.triangles).toFixed(1)}:1 (${root.triangles.toLocaleString()} of ${root.gridTriangles.toLocaleString()} triangles${levels > 0 ? ', overview' : ''})`;
+
+  let lod = null;
+  if (levels > 0) {
+    const demId = `dem-${nextDemId++}`;
+    demStore.set(demId, dem);
+    lod = { demId, levels, tileSize: DEM_TILE, width, height, gridOrigin, resolution, centroid, elevRange: [minZ, maxZ] };
+  }
+
+  return {
+    name: surfaceName,
+    type: 'DEM',
+    vertexBuffer,
+    indexBuffer,
+    centroid,
+    rawBBox: bbox,
+    lod,
+    meta: {
+      ...gridData.meta,
+      vertices: count,
+      triangles: quads * 2,
+      ...(lod ? { 'Display Resolution': `Tiled, ${levels + 1} levels (native up close)` } : {}),
+      'Simplification Tolerance': `±${tolerance}`,
+      'Reduction': reduction,
+      'Easting Range':   `${bbox.min.y.toFixed(2)} - ${bbox.max.y.toFixed(2)}`,
+      'Northing Range':  `${bbox.min.x.toFixed(2)} - ${bbox.max.x.toFixed(2)}`,
+      'Elevation Range': `${bbox.min.z.toFixed(2)} - ${bbox.max.z.toFixed(2)}`,
+    }
+  };
+}
+
+// Right-triangulated irregular network (RTIN) over one (DEM_TILE + 1)² lattice: every triangle
+// that can appear by repeatedly halving the two root triangles, stored as its hypotenuse
+// endpoints [ax, ay, bx, by] in the order that lets errors propagate from children to parents.
+let rtinTable = null;
+
+function rtinTriangles() {
+  if (rtinTable) return rtinTable;
+  const T = DEM_TILE, count = T * T * 2 - 2;
+  rtinTable = new Uint16Array(count * 4);
+  for (let i = 0; i < count; i++) {
+    let id = i + 2, ax = 0, ay = 0, bx = 0, by = 0, cx = 0, cy = 0;
+    if (id & 1) { bx = by = cx = T; } else { ax = ay = cy = T; }
+    while ((id >>= 1) > 1) {
+      const mx = (ax + bx) >> 1, my = (ay + by) >> 1;
+      if (id & 1) { bx = ax; by = ay; ax = cx; ay = cy; }
+      else        { ax = bx; ay = by; bx = cx; by = cy; }
+      cx = mx; cy = my;
+    }
+    rtinTable[i * 4] = ax; rtinTable[i * 4 + 1] = ay; rtinTable[i * 4 + 2] = bx; rtinTable[i * 4 + 3] = by;
+  }
+  return rtinTable;
+}
+
+/** Lattice index → grid index along one tile axis; the first lattice line past the edge snaps onto it, later ones are -1. */
+function tileAxis(start, step, last) {
+  const idx = new Int32Array(DEM_TILE + 1).fill(-1);
+  for (let i = 0; i <= DEM_TILE; i++) {
+    idx[i] = Math.min(start + i * step, last);
+    if (idx[i] === last) break;
+  }
+  return idx;
+}
+
+/** Largest |plane − sample| over the lattice samples inside a triangle; Infinity if any is no-data. */
+function planeError(z, size, ax, ay, bx, by, cx, cy) {
+  const za = z[ay * size + ax], zb = z[by * size + bx], zc = z[cy * size + cx];
+  if (isNaN(za) || isNaN(zb) || isNaN(zc)) return Infinity;
+  const det = (by - cy) * (ax - cx) + (cx - bx) * (ay - cy);
+  const x0 = Math.min(ax, bx, cx), x1 = Math.max(ax, bx, cx);
+  const y0 = Math.min(ay, by, cy), y1 = Math.max(ay, by, cy);
+  let err = 0;
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const l1 = ((by - cy) * (x - cx) + (cx - bx) * (y - cy)) / det;
+      const l2 = ((cy - ay) * (x - cx) + (ax - cx) * (y - cy)) / det;
+      const l3 = 1 - l1 - l2;
+      if (l1 < -1e-9 || l2 < -1e-9 || l3 < -1e-9) continue;
+      const v = z[y * size + x];
+      if (isNaN(v)) return Infinity;
+      const e = Math.abs(l1 * za + l2 * zb + l3 * zc - v);
+      if (e > err) err = e;
+    }
+  }
+  return err;
+}
+
+/**
+ * Centroid-relative triangles [northing, easting, elevation] for quadtree tile (level, tx, ty),
+ * simplified as an RTIN: a triangle is split until no grid sample it covers is further than
+ * dem.tolerance (vertically) from its plane. No-data forces full refinement so
+ * holes keep their cell outline. Returns { vertexBuffer, indexBuffer, samples, triangles, gridTriangles }
+ * where samples holds each vertex's grid index and gridTriangles is what a regular two-per-cell
+ * mesh of the same samples would need. `conform` keeps the tile borders at full resolution so
+ * independently built neighbours share every edge vertex.
+ */
+function buildDEMTile(dem, level, tx, ty, { skirts = true, conform = false } = {}) {
+  const { width, height, heights, gridOrigin, resolution, centroid, tolerance } = dem;
+  const T = DEM_TILE, size = T + 1;
+  const step = 1 << level;
+  const c0 = tx * T * step, r0 = ty * T * step;
+  if (c0 >= width - 1 || r0 >= height - 1) {
+    return { vertexBuffer: new Float32Array(0), indexBuffer: new Uint32Array(0), samples: new Uint32Array(0), triangles: 0, gridTriangles: 0 };
+  }
+
+  const cols = tileAxis(c0, step, width - 1), rows = tileAxis(r0, step, height - 1);
+  const iMax = cols.indexOf(width - 1), jMax = rows.indexOf(height - 1);
+  const lastI = iMax === -1 ? T : iMax, lastJ = jMax === -1 ? T : jMax;
+  const z = new Float32Array(size * size).fill(NaN);
+  for (let j = 0; j <= lastJ; j++) {
+    for (let i = 0; i <= lastI; i++) z[j * size + i] = heights[rows[j] * width + cols[i]];
+  }
+
+  // Worst vertical error of each triangle (every sample it covers against its plane) and of
+  // its subtree, stored at its hypotenuse midpoint. Both triangles sharing a hypotenuse read
+  // the same value, so they split together and the mesh stays free of T-junctions.
+  const table = rtinTriangles();
+  const count = table.length / 4, parents = count - T * T;
+  const errors = new Float32Array(size * size);
+  for (let t = count - 1; t >= 0; t--) {
+    const ax = table[t * 4], ay = table[t * 4 + 1], bx = table[t * 4 + 2], by = table[t * 4 + 3];
+    const mx = (ax + bx) >> 1, my = (ay + by) >> 1;
+    const cx = mx + my - ay, cy = my + ax - mx;
+    const mid = my * size + mx;
+    let err = conform && (mx === 0 || my === 0 || mx === lastI || my === lastJ)
+      ? Infinity
+      : planeError(z, size, ax, ay, bx, by, cx, cy);
+    if (t < parents) {
+      err = Math.max(err, errors[((ay + cy) >> 1) * size + ((ax + cx) >> 1)], errors[((by + cy) >> 1) * size + ((bx + cx) >> 1)]);
+    }
+    if (err > errors[mid]) errors[mid] = err;
+  }
+
+  const tris = [];
+  const ok = (x, y) => !isNaN(z[y * size + x]);
+  const split = (ax, ay, bx, by, cx, cy) => {
+    const mx = (ax + bx) >> 1, my = (ay + by) >> 1;
+    if (Math.abs(ax - cx) + Math.abs(ay - cy) > 1 && errors[my * size + mx] > tolerance) {
+      split(cx, cy, ax, ay, mx, my);
+      split(bx, by, cx, cy, mx, my);
+    } else if (ok(ax, ay) && ok(bx, by) && ok(cx, cy)) {
+      // Same winding as the regular grid mesh: clockwise in (column, row)
+      if ((bx - ax) * (cy - ay) - (by - ay) * (cx - ax) > 0) tris.push(ax, ay, cx, cy, bx, by);
+      else tris.push(ax, ay, bx, by, cx, cy);
+    }
+  };
+  split(0, 0, T, T, T, 0);
+  split(T, T, 0, 0, 0, T);
+
+  // Skirts: a curtain below every tile-border edge, deep enough to cover one coarse cell of relief
+  const border = [];
+  if (skirts) {
+    const onBorder = (x1, y1, x2, y2) =>
+      (x1 === x2 && (x1 === 0 || x1 === lastI)) || (y1 === y2 && (y1 === 0 || y1 === lastJ));
+    for (let k = 0; k < tris.length; k += 6) {
+      for (let e = 0; e < 3; e++) {
+        const p = k + e * 2, q = k + ((e + 1) % 3) * 2;
+        if (onBorder(tris[p], tris[p + 1], tris[q], tris[q + 1])) border.push(tris[p], tris[p + 1], tris[q], tris[q + 1]);
+      }
+    }
+  }
+
+  // Indexed output: one vertex per lattice sample used. Skirts get their own top vertices so
+  // smooth shading doesn't bend the surface normals down along tile borders.
+  const surfaceVerts = new Int32Array(size * size).fill(-1);
+  const skirtTop = new Int32Array(skirts ? size * size : 0).fill(-1);
+  const skirtBottom = new Int32Array(skirts ? size * size : 0).fill(-1);
+  const positions = [], samples = [];
+  const drop = 2 * step * Math.max(Math.abs(resolution.x), Math.abs(resolution.y));
+  const vertex = (map, x, y, sink = 0) => {
+    const key = y * size + x;
+    if (map[key] === -1) {
+      map[key] = positions.length / 3;
+      samples.push(rows[y] * width + cols[x]);
+      positions.push(
+        gridOrigin.northing + rows[y] * resolution.y - centroid.x,
+        gridOrigin.easting  + cols[x] * resolution.x - centroid.y,
+        z[key] - sink - centroid.z);
+    }
+    return map[key];
+  };
+
+  const index = new Uint32Array(tris.length / 2 + border.length / 4 * 6);
+  let o = 0;
+  for (let k = 0; k < tris.length; k += 2) index[o++] = vertex(surfaceVerts, tris[k], tris[k + 1]);
+  for (let k = 0; k < border.length; k += 4) {
+    const [ax, ay, bx, by] = border.slice(k, k + 4);
+    const at = vertex(skirtTop, ax, ay), ab = vertex(skirtBottom, ax, ay, drop);
+    const bt = vertex(skirtTop, bx, by), bb = vertex(skirtBottom, bx, by, drop);
+    index[o++] = at; index[o++] = ab; index[o++] = bt;
+    index[o++] = bt; index[o++] = ab; index[o++] = bb;
+  }
+
+  let gridTriangles = 0;
+  for (let j = 0; j < lastJ; j++) {
+    for (let i = 0; i < lastI; i++) {
+      if (ok(i, j) && ok(i + 1, j) && ok(i, j + 1) && ok(i + 1, j + 1)) gridTriangles += 2;
+    }
+  }
+  return { vertexBuffer: new Float32Array(positions), indexBuffer: index, samples: new Uint32Array(samples), triangles: tris.length / 6, gridTriangles };
+}
+
+/**
+ * The whole DEM as one TIN at native resolution, simplified to dem.tolerance, for export.
+ * Level-0 tiles are built without skirts and with conforming borders, then merged on their
+ * shared grid samples. Returns { points: Float64Array of real-world [northing, easting,
+ * elevation] triples, faces: Uint32Array of 0-based point indices }.
+ */
+function buildDEMTIN(dem) {
+  const { width, height, heights, gridOrigin, resolution } = dem;
+  const pointOf = new Int32Array(width * height).fill(-1);   // grid index → point number
+  let coords = new Float64Array(3 * 4096), faces = new Uint32Array(3 * 4096);
+  let pointCount = 0, faceLength = 0;
+  for (let ty = 0; ty * DEM_TILE < height - 1; ty++) {
+    for (let tx = 0; tx * DEM_TILE < width - 1; tx++) {
+      const { indexBuffer, samples } = buildDEMTile(dem, 0, tx, ty, { skirts: false, conform: true });
+      const local = new Uint32Array(samples.length);
+      coords = growTyped(coords, (pointCount + samples.length) * 3);
+      for (let v = 0; v < samples.length; v++) {
+        const idx = samples[v];
+        if (pointOf[idx] < 0) {
+          pointOf[idx] = pointCount;
+          const row = Math.floor(idx / width), col = idx % width;
+          coords[pointCount * 3] = gridOrigin.northing + row * resolution.y;
+          coords[pointCount * 3 + 1] = gridOrigin.easting + col * resolution.x;
+          coords[pointCount * 3 + 2] = heights[idx];
+          pointCount++;
+        }
+        local[v] = pointOf[idx];
+      }
+      faces = growTyped(faces, faceLength + indexBuffer.length);
+      for (let k = 0; k < indexBuffer.length; k++) faces[faceLength++] = local[indexBuffer[k]];
+    }
+  }
+  return { points: coords.slice(0, pointCount * 3), faces: faces.slice(0, faceLength) };
+}
+
+/**
+ * Merge a triangle soup's coincident corners into a TIN for export. positions holds the mesh's
+ * local (northing, elevation, easting) vertices, one per corner; offset is the real-world
+ * { x: northing, y: easting, z: elevation } of the local origin. Corners are sorted by position
+ * so equal ones sit together, then numbered run by run. Returns the same shape as buildDEMTIN.
+ */
+function buildMeshTIN(positions, offset) {
+  const corners = Math.floor(positions.length / 9) * 3;
+  const order = new Uint32Array(corners);
+  for (let i = 0; i < corners; i++) order[i] = i;
+  order.sort((a, b) => positions[a * 3] - positions[b * 3]
+                    || positions[a * 3 + 1] - positions[b * 3 + 1]
+                    || positions[a * 3 + 2] - positions[b * 3 + 2]);
+
+  const faces = new Uint32Array(corners);   // corner → point number
+  const coords = new Float64Array(corners * 3);
+  let points = 0;
+  for (let k = 0; k < corners; k++) {
+    const c = order[k], prev = order[k - 1];
+    const same = k > 0 && positions[c * 3] === positions[prev * 3]
+      && positions[c * 3 + 1] === positions[prev * 3 + 1] && positions[c * 3 + 2] === positions[prev * 3 + 2];
+    if (!same) {
+      coords[points * 3]     = positions[c * 3] + offset.x;
+      coords[points * 3 + 1] = positions[c * 3 + 2] + offset.y;
+      coords[points * 3 + 2] = positions[c * 3 + 1] + offset.z;
+      points++;
+    }
+    faces[c] = points - 1;
+  }
+  return { points: coords.slice(0, points * 3), faces };
+}
+
+// ── LandXML: streaming SAX parser ───────────────────
+// Tokenises the XML in chunks and builds a lightweight element tree exposing the
+// DOM subset xmlParser.js reads. Surface points (Pnts/P) and faces (Faces/F) never
+// become elements: they are streamed straight into typed arrays on `surface.tin`,
+// which is where nearly all of a large file's bytes live.
+
+const XML_CHUNK = 1 << 22;   // characters fed to the tokenizer per step
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+function decodeEntities(str) {
+  if (str.indexOf('&') === -1) return str;
+  return str.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      // Out-of-range code points stay as written rather than failing the whole file
+      return code <= 0x10FFFF ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[ent] ?? m;
+  });
+}
+
+/**
+ * Element node with the read-only DOM surface used by the LandXML interpreter:
+ * localName, attributes, getAttribute, children, parentElement, textContent,
+ * querySelector and querySelectorAll (tag, [attr="value"], descendant, '>' and ',' selectors).
+ * Text is kept on leaf elements only; LandXML has no mixed content.
+ */
+class XElement {
+  constructor(name, attributes, parent) {
+    this.localName     = name.slice(name.indexOf(':') + 1);
+    this.attributes    = attributes;   // [{ name, value }]
+    this.children      = [];
+    this.parentElement = parent;
+    this.text          = '';
+  }
 
+  get documentElement() { return this.children[0] ?? null; }
+
+  get textContent() {
+    return this.children.length === 0 ? this.text : this.children.map(c => c.textContent).join('');
+  }
+
+  getAttribute(name) {
+    const attr = this.attributes.find(a => a.name === name);
+    return attr ? attr.value : null;
+  }
+
+  querySelectorAll(selector) {
+    const alts = compileSelector(selector);
+    const out = [];
+    walkDescendants(this, el => { if (alts.some(steps => matchSteps(el, steps, steps.length - 1))) out.push(el); });
+    return out;
+  }
+
+  querySelector(selector) {
+    const alts = compileSelector(selector);
+    let found = null;
+    walkDescendants(this, el => {
+      if (alts.some(steps => matchSteps(el, steps, steps.length - 1))) { found = el; return true; }
+    });
+    return found;
+  }
+}
+
+/** Pre-order walk of an element's descendants; stops early when visit returns true. */
+function walkDescendants(root, visit) {
+  const stack = [...root.children].reverse();
+  while (stack.length) {
+    const el = stack.pop();
+    if (visit(el)) return;
+    for (let i = el.children.length - 1; i >= 0; i--) stack.push(el.children[i]);
+  }
+}
+
+const selectorCache = new Map();
+
+/** 'A B > C[x="y"], D' → [[{ tag, attr, value, combinator }, …], …] */
+function compileSelector(selector) {
+  let alts = selectorCache.get(selector);
+  if (alts) return alts;
+  alts = selector.split(',').map(alt => {
+    const steps = [];
+    let combinator = ' ';
+    for (const tok of alt.trim().split(/\s*(>)\s*|\s+/).filter(Boolean)) {
+      if (tok === '>') { combinator = '>'; continue; }
+      const m = tok.match(/^([\w*-]+)?(?:\[([\w-]+)(?:="([^"]*)")?\])?$/);
+      if (!m) throw new Error(`Unsupported selector: ${selector}`);
+      steps.push({ tag: m[1] && m[1] !== '*' ? m[1] : null, attr: m[2] ?? null, value: m[3] ?? null, combinator });
+      combinator = ' ';
+    }
+    return steps;
+  });
+  selectorCache.set(selector, alts);
+  return alts;
+}
+
+function matchStep(el, step) {
+  if (step.tag && el.localName !== step.tag) return false;
+  if (step.attr) {
+    const v = el.getAttribute(step.attr);
+    if (v === null || (step.value !== null && v !== step.value)) return false;
+  }
+  return true;
+}
+
+/** Right-to-left match of steps[0..i] ending at el. */
+function matchSteps(el, steps, i) {
+  if (!matchStep(el, steps[i])) return false;
+  if (i === 0) return true;
+  if (steps[i].combinator === '>') {
+    return !!el.parentElement && matchSteps(el.parentElement, steps, i - 1);
+  }
+  for (let p = el.parentElement; p; p = p.parentElement) {
+    if (matchSteps(p, steps, i - 1)) return true;
+  }
+  return false;
+}
+
+/** Growable typed-array store for one surface's points and visible faces. */
+function createTIN() {
+  return { coords: new Float64Array(3 * 4096), pointCount: 0, faces: new Uint32Array(3 * 4096), faceCount: 0, ids: new Map(), pending: [] };
+}
+
+function growTyped(arr, minLength) {
+  if (arr.length >= minLength) return arr;
+  const next = new arr.constructor(Math.max(minLength, arr.length * 2));
+  next.set(arr);
+  return next;
+}
+
+function addTINPoint(tin, id, text) {
+  const parts = text.trim().split(/\s+/).map(Number);
+  if (parts.length === 2) parts.push(0);
+  if (parts.length < 3 || parts.some(isNaN)) return;
+  tin.coords = growTyped(tin.coords, (tin.pointCount + 1) * 3);
+  tin.coords.set(parts.slice(0, 3), tin.pointCount * 3);
+  tin.ids.set(id, tin.pointCount++);
+}
+
+function addTINFace(tin, ids) {
+  const a = tin.ids.get(ids[0]), b = tin.ids.get(ids[1]), c = tin.ids.get(ids[2]);
+  if (a === undefined || b === undefined || c === undefined) return false;
+  tin.faces = growTyped(tin.faces, (tin.faceCount + 1) * 3);
+  tin.faces[tin.faceCount * 3] = a; tin.faces[tin.faceCount * 3 + 1] = b; tin.faces[tin.faceCount * 3 + 2] = c;
+  tin.faceCount++;
+  return true;
+}
+
+/** Resolve faces that referenced points declared after them, then trim and drop the id lookup. */
+function finishTIN(tin) {
+  for (const ids of tin.pending) addTINFace(tin, ids);
+  tin.coords = tin.coords.slice(0, tin.pointCount * 3);
+  tin.faces  = tin.faces.slice(0, tin.faceCount * 3);
+  delete tin.ids;
+  delete tin.pending;
+}
+
+/** Find the '>' closing a tag that starts at `from`, skipping quoted attribute values. */
+function findTagEnd(buf, from) {
+  let quote = null;
+  for (let i = from; i < buf.length; i++) {
+    const ch = buf[i];
+    if (quote) { if (ch === quote) quote = null; }
+    else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '>') return i;
+  }
+  return -1;
+}
+
+const ATTR_RE = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Incremental LandXML reader: call write() with successive chunks, then end() for the document.
+ */
+class LandXMLStream {
+  constructor() {
+    this.doc     = new XElement('#document', [], null);
+    this.cur     = this.doc;
+    this.buf     = '';
+    this.capture = null;   // { kind: 'P'|'F', id?, hidden?, text } while inside a TIN record
+  }
+
+  write(chunk) {
+    this.buf += chunk;
+    this.drain();
+  }
+
+  end() {
+    this.drain();
+    if (this.buf.trim()) this.onText(this.buf);
+    this.buf = '';
+    return this.doc;
+  }
+
+  drain() {
+    const buf = this.buf;
+    let pos = 0;
+    while (pos < buf.length) {
+      const lt = buf.indexOf('<', pos);
+      if (lt === -1) break;                       // trailing text may continue in the next chunk
+      if (lt > pos) this.onText(buf.slice(pos, lt));
+      pos = lt;
+
+      let end;
+      if (buf.startsWith('<!--', lt)) {
+        end = buf.indexOf('-->', lt + 4);
+        if (end === -1) break;
+        pos = end + 3;
+      } else if (buf.startsWith('<![CDATA[', lt)) {
+        end = buf.indexOf(']]>', lt + 9);
+        if (end === -1) break;
+        this.onText(buf.slice(lt + 9, end), true);
+        pos = end + 3;
+      } else if (buf.startsWith('<?', lt)) {
+        end = buf.indexOf('?>', lt + 2);
+        if (end === -1) break;
+        pos = end + 2;
+      } else if (buf.startsWith('<!', lt)) {
+        end = buf.indexOf('>', lt + 2);
+        if (end === -1) break;
+        pos = end + 1;
+      } else {
+        end = findTagEnd(buf, lt + 1);
+        if (end === -1) break;
+        if (buf[lt + 1] === '/') this.onClose(buf.slice(lt + 2, end).trim());
+        else this.onOpen(buf.slice(lt + 1, end));
+        pos = end + 1;
+      }
+    }
+    this.buf = buf.slice(pos);
+  }
+
+  onText(raw, isCData = false) {
+    const text = isCData ? raw : decodeEntities(raw);
+    if (this.capture) { this.capture.text += text; return; }
+    if (this.cur.tinTarget || this.cur === this.doc) return;
+    if (this.cur.children.length === 0) this.cur.text += text;
+  }
+
+  onOpen(body) {
+    const selfClosing = body.endsWith('/');
+    if (selfClosing) body = body.slice(0, -1);
+    const nameEnd = body.search(/\s|$/);
+    const name = body.slice(0, nameEnd);
+    const local = name.slice(name.indexOf(':') + 1);
+    const attributes = [];
+    ATTR_RE.lastIndex = nameEnd;
+    for (let m; (m = ATTR_RE.exec(body)); ) attributes.push({ name: m[1], value: decodeEntities(m[2] ?? m[3]) });
+
+    // Surface TIN records go straight into typed arrays
+    const tin = this.cur.tinTarget;
+    if (tin && (local === 'P' || local === 'F')) {
+      const attr = (n) => attributes.find(a => a.name === n)?.value ?? null;
+      this.capture = { kind: local, id: attr('id'), hidden: attr('i') === '1', text: '' };
+      if (selfClosing) this.onClose(name);
+      return;
+    }
+
+    const parent = this.cur;
+    if (parent.children.length === 0) parent.text = '';
+    const el = new XElement(name, attributes, parent);
+    parent.children.push(el);
+
+    // Definition → Pnts / Faces of a Surface receive the TIN stream
+    if (local === 'Definition' && parent.localName === 'Surface') {
+      parent.tin = createTIN();
+    } else if ((local === 'Pnts' || local === 'Faces') && parent.localName === 'Definition' && parent.parentElement?.tin) {
+      el.tinTarget = parent.parentElement.tin;
+    }
+
+    if (!selfClosing) this.cur = el;
+    else this.afterClose(el);
+  }
+
+  onClose(name) {
+    const local = name.slice(name.indexOf(':') + 1);
+    if (this.capture) {
+      if (local !== this.capture.kind) return;   // stray close inside a record
+      const { kind, id, hidden, text } = this.capture;
+      this.capture = null;
+      const tin = this.cur.tinTarget;
+      if (kind === 'P') addTINPoint(tin, id, text);
+      else if (!hidden) {
+        const ids = text.trim().split(/\s+/);
+        if (ids.length === 3 && !addTINFace(tin, ids)) tin.pending.push(ids);
+      }
+      return;
+    }
+    // Tolerate mismatched tags by unwinding to the nearest matching open element
+    let el = this.cur;
+    while (el !== this.doc && el.localName !== local) el = el.parentElement;
+    if (el === this.doc) return;
+    for (let c = this.cur; c !== el; c = c.parentElement) this.afterClose(c);
+    this.afterClose(el);
+    this.cur = el.parentElement;
+  }
+
+  afterClose(el) {
+    if (el.localName === 'Definition' && el.parentElement?.tin) finishTIN(el.parentElement.tin);
+    delete el.tinTarget;
+  }
+}
+
+/**
+ * Stream LandXML text (string or ArrayBuffer) through the SAX parser, reporting progress,
+ * then interpret the resulting tree with the shared LandXML interpreter.
+ */
+function parseLandXMLStream(content, fileName, onProgress) {
+  const stream = new LandXMLStream();
+  if (typeof content === 'string') {
+    for (let i = 0; i < content.length; i += XML_CHUNK) {
+      stream.write(content.slice(i, i + XML_CHUNK));
+      onProgress(Math.min(1, (i + XML_CHUNK) / content.length));
+    }
+  } else {
+    const bytes = new Uint8Array(content);
+    const decoder = new TextDecoder();
+    for (let i = 0; i < bytes.length; i += XML_CHUNK) {
+      stream.write(decoder.decode(bytes.subarray(i, i + XML_CHUNK), { stream: true }));
+      onProgress(Math.min(1, (i + XML_CHUNK) / bytes.length));
+    }
+    stream.write(decoder.decode());
+  }
+  const doc = stream.end();
+  if (!doc.documentElement) throw new Error('No XML content found');
+  const { surfaces, fileMeta, crsAttrs, styles } = parseLandXMLDocument(doc, fileName);
+  return { surfaces, fileMeta, crsAttrs, styles };
+}
+
+/** Every distinct ArrayBuffer backing a typed array in the parse result (for zero-copy transfer). */
+function collectTransfers(value, found = new Set()) {
+  if (ArrayBuffer.isView(value)) found.add(value.buffer);
+  else if (Array.isArray(value)) { if (value.length && typeof value[0] === 'object') value.forEach(v => collectTransfers(v, found)); }
+  else if (value && typeof value === 'object') Object.values(value).forEach(v => collectTransfers(v, found));
+  return found;
+}
+
+// ── Models: OBJ / PLY / STL ─────────────────────────
+// Models are expected in project coordinates, Z-up: X = easting, Y = northing, Z = elevation.
+// Each parser yields parts of { name, tris: Float64Array [x,y,z]* (3 per triangle) }.
+
+/** Grow-on-demand Float64 triangle soup. */
+function createTriBuffer() {
+  return { data: new Float64Array(9 * 1024), length: 0 };
+}
+
+function reserveTri(buf, n) {
+  if (buf.length + n > buf.data.length) {
+    const next = new Float64Array(buf.data.length * 2);
+    next.set(buf.data);
+    buf.data = next;
+  }
+}
+
+function pushTri(buf, ax, ay, az, bx, by, bz, cx, cy, cz) {
+  reserveTri(buf, 9);
+  const d = buf.data, o = buf.length;
+  d[o] = ax; d[o + 1] = ay; d[o + 2] = az;
+  d[o + 3] = bx; d[o + 4] = by; d[o + 5] = bz;
+  d[o + 6] = cx; d[o + 7] = cy; d[o + 8] = cz;
+  buf.length += 9;
+}
+
+/** Wavefront OBJ (text). One part per `o`/`g` name; polygons are fan-triangulated. */
+function parseOBJ(text, baseName) {
   const verts = [];
-  for (let sr = 0; sr < sampledH - 1; sr++) {
-    for (let sc = 0; sc < sampledW - 1; sc++) {
-      const i00 = sr * sampledW + sc;
-      const i10 = (sr + 1) * sampledW + sc;
-      const i01 = sr * sampledW + (sc + 1);
-      const i11 = (sr + 1) * sampledW + (sc + 1);
-      if (!valid[i00] || !valid[i10] || !valid[i01] || !valid[i11]) continue;
+  const parts = [];
+  let part = null;
+  const startPart = (name) => {
+    part = parts.find(p => p.name === name);
+    if (!part) { part = { name, buf: createTriBuffer() }; parts.push(part); }
+  };
+  startPart(baseName);
+
+  const vIndex = (tok) => {
+    const i = parseInt(tok, 10);   // "v", "v/vt", "v//vn", "v/vt/vn" — position index only
+    return i < 0 ? verts.length / 3 + i : i - 1;
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    const t = line.trim();
+    if (t === '' || t[0] === '#') continue;
+    const tok = t.split(/\s+/);
+    if (tok[0] === 'v') {
+      verts.push(+tok[1], +tok[2], +tok[3]);
+    } else if (tok[0] === 'f' && tok.length >= 4) {
+      const idx = tok.slice(1).map(vIndex);
+      if (idx.some(i => isNaN(i) || i < 0 || i * 3 >= verts.length)) continue;
+      const [a] = idx;
+      for (let k = 1; k < idx.length - 1; k++) {
+        const b = idx[k], c = idx[k + 1];
+        pushTri(part.buf,
+          verts[a * 3], verts[a * 3 + 1], verts[a * 3 + 2],
+          verts[b * 3], verts[b * 3 + 1], verts[b * 3 + 2],
+          verts[c * 3], verts[c * 3 + 1], verts[c * 3 + 2]);
+      }
+    } else if ((tok[0] === 'o' || tok[0] === 'g') && tok.length > 1) {
+      startPart(tok.slice(1).join(' '));
+    }
+  }
 
-      const r0 = sr * step, r1 = (sr + 1) * step;
-      const c0 = sc * step, c1 = (sc + 1) * step;
-      const e00 = gridOrigin.easting + c0 * resolution.x, n00 = gridOrigin.northing + r0 * resolution.y;
-      const e10 = gridOrigin.easting + c0 * resolution.x, n10 = gridOrigin.northing + r1 * resolution.y;
-      const e01 = gridOrigin.easting + c1 * resolution.x, n01 = gridOrigin.northing + r0 * resolution.y;
-      const e11 = gridOrigin.easting + c1 * resolution.x, n11 = gridOrigin.northing + r1 * resolution.y;
+  return parts.map(p => ({ name: p.name, tris: p.buf.data.subarray(0, p.buf.length) }));
+}
+
+const PLY_TYPES = {
+  char: ['Int8', 1], int8: ['Int8', 1], uchar: ['Uint8', 1], uint8: ['Uint8', 1],
+  short: ['Int16', 2], int16: ['Int16', 2], ushort: ['Uint16', 2], uint16: ['Uint16', 2],
+  int: ['Int32', 4], int32: ['Int32', 4], uint: ['Uint32', 4], uint32: ['Uint32', 4],
+  float: ['Float32', 4], float32: ['Float32', 4], double: ['Float64', 8], float64: ['Float64', 8],
+};
+
+/** Stanford PLY (ascii, binary_little_endian, binary_big_endian). Reads vertex x/y/z and face index lists. */
+function parsePLY(buffer, baseName) {
+  const bytes = new Uint8Array(buffer);
+  const headerEnd = findPLYHeaderEnd(bytes);
+  const header = new TextDecoder().decode(bytes.subarray(0, headerEnd)).split(/\r?\n/);
+  if (header[0].trim() !== 'ply') throw new Error('Not a PLY file');
+
+  let format = 'ascii';
+  const elements = [];
+  for (const line of header) {
+    const tok = line.trim().split(/\s+/);
+    if (tok[0] === 'format') format = tok[1];
+    else if (tok[0] === 'element') elements.push({ name: tok[1], count: parseInt(tok[2], 10), props: [] });
+    else if (tok[0] === 'property' && elements.length) {
+      const props = elements[elements.length - 1].props;
+      if (tok[1] === 'list') props.push({ name: tok[4], list: true, countType: tok[2], type: tok[3] });
+      else props.push({ name: tok[2], type: tok[1] });
+    }
+  }
+  for (const el of elements) {
+    for (const p of el.props) {
+      if (!PLY_TYPES[p.type] || (p.list && !PLY_TYPES[p.countType])) throw new Error(`Unsupported PLY property type: ${p.type}`);
+    }
+  }
+
+  // Read every element record through one value reader so unknown elements are skipped correctly
+  let readValue;
+  if (format === 'ascii') {
+    const tokens = new TextDecoder().decode(bytes.subarray(headerEnd)).trim().split(/\s+/);
+    let t = 0;
+    readValue = () => +tokens[t++];
+  } else if (format === 'binary_little_endian' || format === 'binary_big_endian') {
+    const view = new DataView(buffer, headerEnd);
+    const little = format === 'binary_little_endian';
+    let off = 0;
+    readValue = (type) => {
+      const [kind, size] = PLY_TYPES[type];
+      const v = view[`get${kind}`](off, little);
+      off += size;
+      return v;
+    };
+  } else {
+    throw new Error(`Unsupported PLY format: ${format}`);
+  }
 
-      verts.push(n00 - cx, e00 - cy, grid[i00] - cz);
-      verts.push(n10 - cx, e10 - cy, grid[i10] - cz);
-      verts.push(n01 - cx, e01 - cy, grid[i01] - cz);
-      verts.push(n10 - cx, e10 - cy, grid[i10] - cz);
-      verts.push(n11 - cx, e11 - cy, grid[i11] - cz);
-      verts.push(n01 - cx, e01 - cy, grid[i01] - cz);
+  let verts = null;
+  const buf = createTriBuffer();
+  for (const el of elements) {
+    if (el.name === 'vertex') {
+      const ix = el.props.findIndex(p => p.name === 'x');
+      const iy = el.props.findIndex(p => p.name === 'y');
+      const iz = el.props.findIndex(p => p.name === 'z');
+      if (ix < 0 || iy < 0 || iz < 0) throw new Error('PLY vertex element has no x/y/z');
+      verts = new Float64Array(el.count * 3);
+      for (let i = 0; i < el.count; i++) {
+        el.props.forEach((p, k) => {
+          const v = readPLYProperty(readValue, p);
+          if (k === ix) verts[i * 3] = v; else if (k === iy) verts[i * 3 + 1] = v; else if (k === iz) verts[i * 3 + 2] = v;
+        });
+      }
+    } else if (el.name === 'face') {
+      const fi = el.props.findIndex(p => p.list && (p.name === 'vertex_indices' || p.name === 'vertex_index'));
+      for (let i = 0; i < el.count; i++) {
+        el.props.forEach((p, k) => {
+          const v = readPLYProperty(readValue, p);
+          if (k !== fi || !verts) return;
+          for (let j = 1; j < v.length - 1; j++) {
+            const a = v[0] * 3, b = v[j] * 3, c = v[j + 1] * 3;
+            if (a >= verts.length || b >= verts.length || c >= verts.length) continue;
+            pushTri(buf, verts[a], verts[a + 1], verts[a + 2], verts[b], verts[b + 1], verts[b + 2], verts[c], verts[c + 1], verts[c + 2]);
+          }
+        });
+      }
+    } else {
+      for (let i = 0; i < el.count; i++) el.props.forEach(p => readPLYProperty(readValue, p));
     }
   }
 
-  if (verts.length === 0) throw new Error('No valid triangles from DEM');
+  return [{ name: baseName, tris: buf.data.subarray(0, buf.length), format }];
+}
 
-  const vertexBuffer = new Float32Array(verts);
-  const bbox = computeBBox(rawPoints);
+function readPLYProperty(readValue, prop) {
+  if (!prop.list) return readValue(prop.type);
+  const n = readValue(prop.countType);
+  const out = new Array(n);
+  for (let i = 0; i < n; i++) out[i] = readValue(prop.type);
+  return out;
+}
+
+/** Byte offset just past the "end_header" line. */
+function findPLYHeaderEnd(bytes) {
+  const marker = 'end_header';
+  const limit = Math.min(bytes.length, 65536);
+  for (let i = 0; i < limit - marker.length; i++) {
+    let match = true;
+    for (let k = 0; k < marker.length && match; k++) match = bytes[i + k] === marker.charCodeAt(k);
+    if (!match) continue;
+    let end = i + marker.length;
+    if (bytes[end] === 0x0D) end++;
+    if (bytes[end] === 0x0A) end++;
+    return end;
+  }
+  throw new Error('PLY header has no end_header');
+}
+
+/** STL, binary or ASCII (ASCII files may hold several named solids). */
+function parseSTL(buffer, baseName) {
+  const view = new DataView(buffer);
+  const triCount = buffer.byteLength >= 84 ? view.getUint32(80, true) : -1;
+  // Exporters may pad binary files past the last record, and some start the 80-byte header
+  // with "solid" too — only an ASCII file follows that line with facet text
+  const head = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 1024)));
+  const ascii = /^\s*solid[^\r\n]*\r?\n\s*(facet|endsolid)\b/.test(head);
+  if (!ascii && triCount >= 0 && 84 + triCount * 50 <= buffer.byteLength) {
+    const buf = createTriBuffer();
+    for (let i = 0; i < triCount; i++) {
+      const o = 84 + i * 50 + 12;   // skip normal
+      const f = (k) => view.getFloat32(o + k * 4, true);
+      pushTri(buf, f(0), f(1), f(2), f(3), f(4), f(5), f(6), f(7), f(8));
+    }
+    return [{ name: baseName, tris: buf.data.subarray(0, buf.length), format: 'Binary' }];
+  }
+
+  const text = new TextDecoder().decode(buffer);
+  const parts = [];
+  const solidRe = /solid\s*([^\r\n]*)([\s\S]*?)endsolid/g;
+  for (let m; (m = solidRe.exec(text)); ) {
+    const buf = createTriBuffer();
+    const v = [];
+    const vertexRe = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+    for (let vm; (vm = vertexRe.exec(m[2])); ) {
+      v.push(+vm[1], +vm[2], +vm[3]);
+      if (v.length === 9) { pushTri(buf, ...v); v.length = 0; }
+    }
+    parts.push({ name: m[1].trim() || baseName, tris: buf.data.subarray(0, buf.length), format: 'ASCII' });
+  }
+  if (parts.length === 0) throw new Error('Not a valid STL file');
+  return parts;
+}
+
+/** Triangle soup in project coordinates → centroid-relative surface data (type 'Model' unless given). */
+function buildModelSurface(part, formatLabel, type = 'Model') {
+  const { tris } = part;
+  const n = tris.length / 3;
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  let sx = 0, sy = 0, sz = 0;
+  for (let i = 0; i < tris.length; i += 3) {
+    // X = easting, Y = northing → surface space is [northing, easting, elevation]
+    const nn = tris[i + 1], e = tris[i], z = tris[i + 2];
+    sx += nn; sy += e; sz += z;
+    if (nn < minX) minX = nn; if (nn > maxX) maxX = nn;
+    if (e  < minY) minY = e;  if (e  > maxY) maxY = e;
+    if (z  < minZ) minZ = z;  if (z  > maxZ) maxZ = z;
+  }
+  const centroid = { x: sx / n, y: sy / n, z: sz / n };
+  const vertexBuffer = new Float32Array(tris.length);
+  for (let i = 0; i < tris.length; i += 3) {
+    vertexBuffer[i]     = tris[i + 1] - centroid.x;
+    vertexBuffer[i + 1] = tris[i]     - centroid.y;
+    vertexBuffer[i + 2] = tris[i + 2] - centroid.z;
+  }
+  const bbox = {
+    min: { x: minX, y: minY, z: minZ },
+    max: { x: maxX, y: maxY, z: maxZ },
+    centroid: { x: (minX + maxX) / 2, y: (minY + maxY) / 2, z: (minZ + maxZ) / 2 }
+  };
 
   return {
-    name: surfaceName,
-    type: 'DEM',
+    name: part.name,
+    type,
     vertexBuffer,
     centroid,
     rawBBox: bbox,
-    downsampled,
     meta: {
-      ...gridData.meta,
+      'Format': formatLabel,
       vertices: vertexBuffer.length / 3,
       triangles: vertexBuffer.length / 9,
-      ...(downsampled ? { 'Downsampled': 'Yes', 'Display Resolution': `Downsampled from ${width} × ${height}` } : {}),
       'Easting Range':   `${bbox.min.y.toFixed(2)} - ${bbox.max.y.toFixed(2)}`,
       'Northing Range':  `${bbox.min.x.toFixed(2)} - ${bbox.max.x.toFixed(2)}`,
       'Elevation Range': `${bbox.min.z.toFixed(2)} - ${bbox.max.z.toFixed(2)}`,
@@ -215,12 +1154,1057 @@ function buildDEMSurface(gridData, surfaceName) {
   };
 }
 
+const MODEL_FORMATS = { obj: 'OBJ', ply: 'PLY', stl: 'STL' };
+
+function parseModel(content, fileName, fileType) {
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  let parts;
+  if (fileType === 'obj')      parts = parseOBJ(typeof content === 'string' ? content : new TextDecoder().decode(content), baseName);
+  else if (fileType === 'ply') parts = parsePLY(content, baseName);
+  else if (fileType === 'stl') parts = parseSTL(content, baseName);
+  else throw new Error(`Unknown model type: ${fileType}`);
+
+  const surfaces = parts
+    .filter(p => p.tris.length > 0)
+    .map(p => buildModelSurface(p, [MODEL_FORMATS[fileType], p.format].filter(Boolean).join(' ')));
+  if (surfaces.length === 0) throw new Error('Model contains no faces');
+
+  const fileMeta = {
+    'Format': MODEL_FORMATS[fileType],
+    'Objects': surfaces.length,
+    'Triangles': surfaces.reduce((n, s) => n + s.meta.triangles, 0),
+  };
+  return { surfaces, fileMeta, crsAttrs: {} };
+}
+
+// ── CAD: ASCII DXF ──────────────────────────────────
+// 3DFACE, MESH and polyface/polygon-mesh POLYLINEs become surfaces; LINE, LWPOLYLINE and
+// 2D/3D POLYLINEs become feature lines. Everything is grouped by layer. Only the ENTITIES
+// section is read (block INSERTs are not expanded) and coordinates are taken as WCS.
+
+const DXF_UNITS = { 1: 'Inches', 2: 'Feet', 4: 'Millimeters', 5: 'Centimeters', 6: 'Meters', 21: 'US Survey Feet' };
+const DXF_ARC_STEP = Math.PI / 32;   // max angle per segment when tessellating LWPOLYLINE bulges
+
+function pushSeg(buf, ax, ay, az, bx, by, bz) {
+  reserveTri(buf, 6);
+  const d = buf.data, o = buf.length;
+  d[o] = ax; d[o + 1] = ay; d[o + 2] = az;
+  d[o + 3] = bx; d[o + 4] = by; d[o + 5] = bz;
+  buf.length += 6;
+}
+
+function parseDXF(text, fileName, onProgress) {
+  if (text.startsWith('AutoCAD Binary DXF')) throw new Error('Binary DXF is not supported — save as ASCII DXF');
+
+  const lines = text.split(/\r?\n/);
+  const layers = new Map();
+  const getLayer = (name) => {
+    let l = layers.get(name);
+    if (!l) { l = { tris: createTriBuffer(), segs: createTriBuffer(), faces: 0, lines: 0 }; layers.set(name, l); }
+    return l;
+  };
+  const header = {};
+  let section = null, headerVar = null, ent = null, polyline = null;
+
+  const finish = (e) => {
+    if (e.type === 'VERTEX') {
+      if (polyline) polyline.vertices.push(e);
+    } else if (e.type === 'SEQEND') {
+      if (polyline) addDXFPolyline(getLayer(polyline.layer), polyline);
+      polyline = null;
+    } else if (e.type === 'POLYLINE') {
+      polyline = { ...e, vertices: [] };
+    } else {
+      addDXFEntity(getLayer(e.layer), e);
+    }
+  };
+
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code  = parseInt(lines[i], 10);
+    const value = lines[i + 1].trim();
+    if ((i & 0x3FFFE) === 0) onProgress?.(i / lines.length);
+
+    if (code === 0) {
+      if (ent) finish(ent);
+      ent = null;
+      if (value === 'SECTION') section = '';
+      else if (value === 'ENDSEC') section = null;
+      else if (section === 'ENTITIES') ent = { type: value, layer: '0', codes: [], values: [] };
+    } else if (section === '' && code === 2) {
+      section = value;
+    } else if (section === 'HEADER') {
+      if (code === 9) headerVar = value;
+      else header[headerVar] = value;
+    } else if (ent) {
+      if (code === 8) ent.layer = value;
+      else { ent.codes.push(code); ent.values.push(value); }
+    }
+  }
+  if (ent) finish(ent);
+
+  const surfaces = [];
+  for (const [name, l] of layers) {
+    if (l.tris.length > 0) {
+      const surf = buildModelSurface({ name, tris: l.tris.data.subarray(0, l.tris.length) }, 'DXF', 'Surface');
+      surf.meta = { 'Layer': name, 'Entities': l.faces, ...surf.meta };
+      surfaces.push(surf);
+    }
+    if (l.segs.length > 0) {
+      const line = buildSegmentLine(name, l.segs.data.subarray(0, l.segs.length));
+      line.meta = { 'Layer': name, 'Entities': l.lines, ...line.meta };
+      surfaces.push(line);
+    }
+  }
+  if (surfaces.length === 0) throw new Error('DXF contains no 3DFACE, MESH, LINE or POLYLINE entities');
+
+  const units = DXF_UNITS[parseInt(header.$INSUNITS, 10)];
+  const fileMeta = {
+    'Format': 'DXF',
+    ...(header.$ACADVER ? { 'Version': header.$ACADVER } : {}),
+    ...(units ? { 'Linear Unit': units } : {}),
+    'Layers': new Set(surfaces.map(s => s.meta['Layer'])).size,
+  };
+  return { surfaces, fileMeta, crsAttrs: {} };
+}
+
+/** First value of a group code, as a number (NaN if missing). */
+function dxfNum(e, code, fallback = NaN) {
+  const k = e.codes.indexOf(code);
+  return k < 0 ? fallback : parseFloat(e.values[k]);
+}
+
+function dxfPoint(e, k) {
+  return [dxfNum(e, 10 + k), dxfNum(e, 20 + k), dxfNum(e, 30 + k, 0)];
+}
+
+function addDXFEntity(layer, e) {
+  if (e.type === '3DFACE') {
+    const [a, b, c, d] = [0, 1, 2, 3].map(k => dxfPoint(e, k));
+    if ([a, b, c].some(p => isNaN(p[0]) || isNaN(p[1]))) return;
+    pushTri(layer.tris, ...a, ...b, ...c);
+    if (!isNaN(d[0]) && (d[0] !== c[0] || d[1] !== c[1] || d[2] !== c[2])) pushTri(layer.tris, ...a, ...c, ...d);
+    layer.faces++;
+  } else if (e.type === 'MESH') {
+    addDXFMesh(layer, e);
+  } else if (e.type === 'LINE') {
+    const a = dxfPoint(e, 0), b = dxfPoint(e, 1);
+    if (isNaN(a[0]) || isNaN(b[0])) return;
+    pushSeg(layer.segs, ...a, ...b);
+    layer.lines++;
+  } else if (e.type === 'LWPOLYLINE') {
+    const elev = dxfNum(e, 38, 0);
+    const verts = [];
+    e.codes.forEach((code, k) => {
+      const v = parseFloat(e.values[k]);
+      if (code === 10) verts.push({ x: v, y: 0, bulge: 0 });
+      else if (code === 20 && verts.length) verts[verts.length - 1].y = v;
+      else if (code === 42 && verts.length) verts[verts.length - 1].bulge = v;
+    });
+    addDXFPath(layer, verts.map(v => ({ ...v, z: elev })), (dxfNum(e, 70, 0) & 1) !== 0);
+  }
+}
+
+/**
+ * POLYLINE + its VERTEX records. Flag 64 = polyface mesh, 16 = M×N polygon mesh,
+ * 8 = 3D polyline (per-vertex Z); otherwise a 2D polyline at the entity's elevation.
+ */
+function addDXFPolyline(layer, pl) {
+  const flags = dxfNum(pl, 70, 0);
+  const verts = pl.vertices.map(v => {
+    const [x, y, z] = dxfPoint(v, 0);
+    return { x, y, z, bulge: dxfNum(v, 42, 0), flags: dxfNum(v, 70, 0), v };
+  });
+
+  if (flags & 64) {
+    const positions = verts.filter(v => !(v.flags & 128) || (v.flags & 64));
+    for (const f of verts.filter(v => (v.flags & 128) && !(v.flags & 64))) {
+      const idx = [71, 72, 73, 74].map(c => Math.abs(dxfNum(f.v, c, 0)) - 1).filter(i => i >= 0 && i < positions.length);
+      for (let j = 1; j < idx.length - 1; j++) {
+        const a = positions[idx[0]], b = positions[idx[j]], c = positions[idx[j + 1]];
+        pushTri(layer.tris, a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+      }
+    }
+    layer.faces++;
+  } else if (flags & 16) {
+    const m = dxfNum(pl, 71, 0), n = dxfNum(pl, 72, 0);
+    if (m * n > verts.length || m < 2 || n < 2) return;
+    const at = (i, j) => verts[(i % m) * n + (j % n)];
+    const mEnd = (flags & 1) ? m : m - 1, nEnd = (flags & 32) ? n : n - 1;
+    for (let i = 0; i < mEnd; i++) {
+      for (let j = 0; j < nEnd; j++) {
+        const a = at(i, j), b = at(i + 1, j), c = at(i + 1, j + 1), d = at(i, j + 1);
+        pushTri(layer.tris, a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+        pushTri(layer.tris, a.x, a.y, a.z, c.x, c.y, c.z, d.x, d.y, d.z);
+      }
+    }
+    layer.faces++;
+  } else {
+    const elev = dxfNum(pl, 30, 0);
+    addDXFPath(layer, (flags & 8) ? verts : verts.map(v => ({ ...v, z: elev })), (flags & 1) !== 0);
+  }
+}
+
+/** MESH (AutoCAD 2010+): 92 vertex count + 10/20/30 vertices, 93 face-list size + 90 entries (n, i1..in). */
+function addDXFMesh(layer, e) {
+  const verts = [];
+  let k = e.codes.indexOf(92);
+  if (k < 0) return;
+  for (k++; k < e.codes.length && e.codes[k] === 10; k += 3) {
+    verts.push([parseFloat(e.values[k]), parseFloat(e.values[k + 1]), parseFloat(e.values[k + 2])]);
+  }
+  const f = e.codes.indexOf(93, k);
+  if (f < 0) return;
+  const list = [];
+  for (let j = f + 1, end = f + 1 + parseInt(e.values[f], 10); j < end && e.codes[j] === 90; j++) list.push(parseInt(e.values[j], 10));
+  for (let j = 0; j < list.length; j += list[j] + 1) {
+    const idx = list.slice(j + 1, j + 1 + list[j]);
+    if (idx.some(i => !verts[i])) continue;
+    for (let t = 1; t < idx.length - 1; t++) pushTri(layer.tris, ...verts[idx[0]], ...verts[idx[t]], ...verts[idx[t + 1]]);
+  }
+  layer.faces++;
+}
+
+/** Polyline vertices { x, y, z, bulge } → segments, tessellating bulge arcs. */
+function addDXFPath(layer, verts, closed) {
+  const pts = verts.filter(v => !isNaN(v.x) && !isNaN(v.y));
+  if (pts.length < 2) return;
+  const count = closed ? pts.length : pts.length - 1;
+  for (let i = 0; i < count; i++) {
+    const a = pts[i], b = pts[(i + 1) % pts.length];
+    const chord = Math.hypot(b.x - a.x, b.y - a.y);
+    if (Math.abs(a.bulge) < 1e-9 || chord < 1e-12) {
+      pushSeg(layer.segs, a.x, a.y, a.z, b.x, b.y, b.z);
+      continue;
+    }
+    // Bulge = tan(θ/4); the centre sits on the chord's perpendicular bisector
+    const theta = 4 * Math.atan(a.bulge);
+    const r = chord / (2 * Math.sin(theta / 2));
+    const h = r * Math.cos(theta / 2);
+    const cx = (a.x + b.x) / 2 - h * (b.y - a.y) / chord;
+    const cy = (a.y + b.y) / 2 + h * (b.x - a.x) / chord;
+    const a0 = Math.atan2(a.y - cy, a.x - cx);
+    const steps = Math.max(2, Math.ceil(Math.abs(theta) / DXF_ARC_STEP));
+    let px = a.x, py = a.y, pz = a.z;
+    for (let s = 1; s <= steps; s++) {
+      const t = s / steps, ang = a0 + theta * t;
+      const x = s === steps ? b.x : cx + Math.abs(r) * Math.cos(ang);
+      const y = s === steps ? b.y : cy + Math.abs(r) * Math.sin(ang);
+      const z = a.z + (b.z - a.z) * t;
+      pushSeg(layer.segs, px, py, pz, x, y, z);
+      px = x; py = y; pz = z;
+    }
+  }
+  layer.lines++;
+}
+
+/** Segment pairs in project coordinates → centroid-relative line data (type 'FeatureLine'). */
+function buildSegmentLine(name, segs) {
+  const n = segs.length / 3;
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  let sx = 0, sy = 0, sz = 0;
+  for (let i = 0; i < segs.length; i += 3) {
+    const nn = segs[i + 1], e = segs[i], z = segs[i + 2];
+    sx += nn; sy += e; sz += z;
+    if (nn < minX) minX = nn; if (nn > maxX) maxX = nn;
+    if (e  < minY) minY = e;  if (e  > maxY) maxY = e;
+    if (z  < minZ) minZ = z;  if (z  > maxZ) maxZ = z;
+  }
+  const centroid = { x: sx / n, y: sy / n, z: sz / n };
+  const lineBuffer = new Float32Array(segs.length);
+  for (let i = 0; i < segs.length; i += 3) {
+    lineBuffer[i]     = segs[i + 1] - centroid.x;
+    lineBuffer[i + 1] = segs[i]     - centroid.y;
+    lineBuffer[i + 2] = segs[i + 2] - centroid.z;
+  }
+  const bbox = {
+    min: { x: minX, y: minY, z: minZ },
+    max: { x: maxX, y: maxY, z: maxZ },
+    centroid: { x: (minX + maxX) / 2, y: (minY + maxY) / 2, z: (minZ + maxZ) / 2 }
+  };
+
+  return {
+    name,
+    type: 'FeatureLine',
+    lineBuffer,
+    centroid,
+    rawBBox: bbox,
+    meta: {
+      'Segments': n / 2,
+      'Elevation Range': `${bbox.min.z.toFixed(2)} – ${bbox.max.z.toFixed(2)}`,
+    }
+  };
+}
+
+// ── GIS: GeoJSON ────────────────────────────────────
+// Positions are [x = easting, y = northing, z?]. Each (Multi)LineString feature becomes a
+// feature line and each (Multi)Polygon an outline; all point features share one point group.
+// Missing Z is taken as 0. The legacy `crs` member (or the RFC 7946 default, WGS 84) sets the CRS.
+
+// Above this many line/polygon features, each kind is merged into one object to keep the scene responsive
+const MAX_FEATURE_OBJECTS = 1000;
+
+function parseGeoJSON(text, fileName) {
+  let doc;
+  try { doc = JSON.parse(text); } catch (err) { throw new Error(`Invalid GeoJSON: ${err.message}`); }
+
+  const features = doc.type === 'FeatureCollection' ? doc.features || []
+                 : doc.type === 'Feature' ? [doc]
+                 : [{ type: 'Feature', geometry: doc, properties: {} }];
+
+  const { surfaces, hasZ, geographic } = featuresToSurfaces(features, fileName.replace(/\.[^.]+$/, ''));
+  if (surfaces.length === 0) throw new Error('GeoJSON contains no point, line or polygon geometry');
+
+  const crsAttrs = {};
+  const crsName = doc.crs?.properties?.name;
+  const epsg = crsName && /EPSG:+(\d+)/i.exec(crsName);
+  if (epsg) crsAttrs.CRS = `EPSG:${epsg[1]}`;
+  else if (crsName) crsAttrs.CRS = /CRS84$/i.test(crsName) ? 'EPSG:4326' : crsName;
+  else if (geographic) crsAttrs.CRS = 'EPSG:4326';
+
+  // Lon/lat degrees: flagged so the viewer keeps them out of scenes holding projected data
+  const lonLat = geographic && crsAttrs.CRS === 'EPSG:4326';
+  const fileMeta = {
+    'Format': 'GeoJSON',
+    'Features': features.length,
+    'Dimensions': hasZ ? '3D' : '2D (elevation 0)',
+    ...(lonLat ? { 'Note': 'Longitude/latitude degrees, shown unprojected' } : {}),
+  };
+  return { surfaces, fileMeta, crsAttrs, geographic: lonLat };
+}
+
+/**
+ * GeoJSON-style features → surface data: one FeatureLine / Polygon per feature (merged
+ * per kind past MAX_FEATURE_OBJECTS) and one 'Points' group named pointsName.
+ */
+function featuresToSurfaces(features, pointsName) {
+  const lines = [];
+  const points = [];
+  let hasZ = false, geographic = true;
+  const track = (c) => {
+    if (c.length >= 3 && isFinite(c[2])) hasZ = true;
+    if (Math.abs(c[0]) > 180 || Math.abs(c[1]) > 90) geographic = false;
+  };
+
+  features.forEach((f, fi) => {
+    const props = f?.properties || {};
+    const name = String(props.name ?? props.Name ?? props.NAME ?? f?.id ?? `Feature ${fi + 1}`);
+    for (const g of flattenGeometry(f?.geometry)) {
+      if (g.type === 'Point' || g.type === 'MultiPoint') {
+        for (const c of g.type === 'Point' ? [g.coordinates] : g.coordinates) {
+          if (!c || c.length < 2) continue;
+          track(c);
+          const z = c.length >= 3 && isFinite(c[2]) ? +c[2] : NaN;
+          points.push({
+            name: String(props.name ?? props.Name ?? f?.id ?? points.length + 1),
+            code: String(props.code ?? props.Code ?? ''),
+            desc: String(props.desc ?? props.description ?? props.Description ?? ''),
+            n: +c[1], e: +c[0], z: isNaN(z) ? 0 : z, hasZ: !isNaN(z),
+            attributes: geoJSONPropertyRows(props),
+          });
+        }
+      } else {
+        const paths = g.type === 'LineString' ? [g.coordinates]
+                    : g.type === 'MultiLineString' || g.type === 'Polygon' ? g.coordinates
+                    : g.type === 'MultiPolygon' ? g.coordinates.flat() : [];
+        const segs = createTriBuffer();
+        let vertices = 0;
+        for (const path of paths) {
+          const pts = (path || []).filter(c => c && c.length >= 2);
+          pts.forEach(track);
+          vertices += pts.length;
+          for (let i = 0; i < pts.length - 1; i++) {
+            const a = pts[i], b = pts[i + 1];
+            pushSeg(segs, +a[0], +a[1], +(a[2] ?? 0) || 0, +b[0], +b[1], +(b[2] ?? 0) || 0);
+          }
+        }
+        if (segs.length === 0) continue;
+        lines.push({
+          name,
+          type: g.type.endsWith('Polygon') ? 'Polygon' : 'FeatureLine',
+          segs: segs.data.subarray(0, segs.length),
+          meta: { 'Geometry': g.type, 'Vertices': vertices },
+          props,
+        });
+      }
+    }
+  });
+
+  const surfaces = [];
+  if (lines.length > MAX_FEATURE_OBJECTS) {
+    for (const type of ['FeatureLine', 'Polygon']) {
+      const group = lines.filter(l => l.type === type);
+      if (group.length === 0) continue;
+      const segs = new Float64Array(group.reduce((n, l) => n + l.segs.length, 0));
+      // Per-feature segment ranges, so picking a merged line still shows that feature's attributes
+      const parts = [];
+      let off = 0;
+      for (const l of group) {
+        parts.push({
+          startSeg: off / 6, endSeg: (off + l.segs.length) / 6,
+          kind: type === 'Polygon' ? 'Polygon' : 'Line', name: l.name,
+          meta: { ...l.meta, ...geoJSONPropertyRows(l.props) },
+        });
+        segs.set(l.segs, off);
+        off += l.segs.length;
+      }
+      const line = buildSegmentLine(`${pointsName} (${type === 'Polygon' ? 'polygons' : 'lines'})`, segs);
+      line.type = type;
+      line.parts = parts;
+      line.meta = {
+        'Features': group.length, ...line.meta,
+        'Note': `Merged into one object (over ${MAX_FEATURE_OBJECTS} features); pick a feature to see its attributes`,
+      };
+      surfaces.push(line);
+    }
+  } else {
+    for (const l of lines) {
+      const line = buildSegmentLine(l.name, l.segs);
+      line.type = l.type;
+      line.meta = { ...l.meta, ...line.meta, ...geoJSONPropertyRows(l.props) };
+      surfaces.push(line);
+    }
+  }
+
+  if (points.length > 0) {
+    const rawPts = points.map(p => [p.n, p.e, p.z]);
+    const bbox = computeBBox(rawPts);
+    const fields = new Set(points.flatMap(p => Object.keys(p.attributes)));
+    surfaces.push({
+      name: pointsName,
+      type: 'Points',
+      points,
+      centroid: computeCentroid(rawPts),
+      rawBBox: bbox,
+      meta: {
+        'Point Count':     points.length,
+        'Easting Range':   `${bbox.min.y.toFixed(2)} – ${bbox.max.y.toFixed(2)}`,
+        'Northing Range':  `${bbox.min.x.toFixed(2)} – ${bbox.max.x.toFixed(2)}`,
+        ...pointElevationRows(points),
+        ...(fields.size ? { 'Attributes': [...fields].join(', ') } : {}),
+        ...pointAttributeRows(points),
+      }
+    });
+  }
+  return { surfaces, hasZ, geographic };
+}
+
+/** Geometry → list of simple geometries (GeometryCollections unpacked). */
+function flattenGeometry(g) {
+  if (!g) return [];
+  if (g.type === 'GeometryCollection') return (g.geometries || []).flatMap(flattenGeometry);
+  return Array.isArray(g.coordinates) ? [g] : [];
+}
+
+/** Feature properties → metadata rows (nested values as JSON, nulls dropped). */
+function geoJSONPropertyRows(props) {
+  const rows = {};
+  for (const [k, v] of Object.entries(props)) {
+    if (v === null || v === undefined) continue;
+    rows[k] = typeof v === 'object' ? JSON.stringify(v) : v;
+  }
+  return rows;
+}
+
+// ── GIS: zipped Shapefile ───────────────────────────
+// A .zip holding one or more shapefiles (.shp + .dbf, optional .prj/.cpg; the .shx index isn't
+// needed for a sequential read). Records become GeoJSON-style features and go through
+// featuresToSurfaces, so lines, polygons and points behave exactly like GeoJSON imports.
+
+/** List a ZIP archive's files: name → async () => Uint8Array. Stored and deflated entries only. */
+function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 65535); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  if (p === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported');
+
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+    const method     = view.getUint16(p + 10, true);
+    const compSize   = view.getUint32(p + 20, true);
+    const nameLen    = view.getUint16(p + 28, true);
+    const extraLen   = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const localOff   = view.getUint32(p + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, p + 46, nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+    if (name.endsWith('/') || name.includes('__MACOSX/')) continue;
+
+    entries.set(name, async () => {
+      const dataOff = localOff + 30 + view.getUint16(localOff + 26, true) + view.getUint16(localOff + 28, true);
+      const data = new Uint8Array(buffer, dataOff, compSize);
+      if (method === 0) return data;
+      if (method !== 8) throw new Error(`${name}: unsupported ZIP compression method ${method}`);
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    });
+  }
+  return entries;
+}
+
+async function parseShapefileZip(buffer, fileName, onProgress) {
+  const entries = readZipEntries(buffer);
+  const byExt = (base, ext) => [...entries.keys()].find(n => n.toLowerCase() === `${base}.${ext}`.toLowerCase());
+  const shpNames = [...entries.keys()].filter(n => /\.shp$/i.test(n));
+  if (shpNames.length === 0) throw new Error('ZIP contains no .shp file');
+
+  const surfaces = [];
+  const shapeTypes = new Set();
+  let records = 0, prj = null, hasZ = false, geographic = true;
+  for (const [k, shpName] of shpNames.entries()) {
+    const base = shpName.slice(0, -4);
+    const layerName = base.split('/').pop();
+    const shp = await entries.get(shpName)();
+    const dbfName = byExt(base, 'dbf'), cpgName = byExt(base, 'cpg'), prjName = byExt(base, 'prj');
+    const encoding = cpgName ? cpgEncoding(new TextDecoder().decode(await entries.get(cpgName)())) : 'utf-8';
+    const attrs = dbfName ? readDBF(await entries.get(dbfName)(), encoding) : [];
+    if (prjName && !prj) prj = new TextDecoder().decode(await entries.get(prjName)());
+
+    const { type, features } = readSHP(shp, attrs);
+    shapeTypes.add(SHP_TYPES[type] || `Type ${type}`);
+    records += features.length;
+    if (features.some(f => f.geometry?.hasZ)) hasZ = true;
+
+    const layer = featuresToSurfaces(features, layerName);
+    if (!layer.geographic) geographic = false;
+    for (const surf of layer.surfaces) surf.meta = { 'Layer': layerName, ...surf.meta };
+    surfaces.push(...layer.surfaces);
+    onProgress?.((k + 1) / shpNames.length);
+  }
+  if (surfaces.length === 0) throw new Error('Shapefile contains no geometry');
+
+  const crsAttrs = prj ? parseWKT(prj) : {};
+  // Lon/lat only when the .prj says so: small projected or local coordinates can look like degrees
+  const lonLat = geographic && /^\s*GEOG(CS|CRS)\b/i.test(prj || '');
+  const fileMeta = {
+    'Format': 'Shapefile',
+    'Layers': shpNames.length,
+    'Records': records,
+    'Shape Type': [...shapeTypes].join(', '),
+    'Dimensions': hasZ ? '3D' : '2D (elevation 0)',
+    ...(crsAttrs['Linear Unit'] ? { 'Linear Unit': crsAttrs['Linear Unit'] } : {}),
+    ...(lonLat ? { 'Note': 'Longitude/latitude degrees, shown unprojected' } : {}),
+  };
+  return { surfaces, fileMeta, crsAttrs, geographic: lonLat };
+}
+
+const SHP_TYPES = {
+  1: 'Point', 3: 'PolyLine', 5: 'Polygon', 8: 'MultiPoint',
+  11: 'PointZ', 13: 'PolyLineZ', 15: 'PolygonZ', 18: 'MultiPointZ',
+  21: 'PointM', 23: 'PolyLineM', 25: 'PolygonM', 28: 'MultiPointM',
+};
+
+/**
+ * Read .shp records into features ({ properties, geometry }) paired with DBF rows by index.
+ * Z values are read for the *Z types; M values are ignored.
+ */
+function readSHP(bytes, attrs) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.byteLength < 100 || view.getInt32(0, false) !== 9994) throw new Error('Not a valid .shp file');
+  const fileType = view.getInt32(32, true);
+  const end = Math.min(bytes.byteLength, view.getInt32(24, false) * 2);
+
+  const features = [];
+  for (let p = 100, rec = 0; p + 12 <= end; rec++) {
+    const len = view.getInt32(p + 4, false) * 2;
+    const o = p + 8;
+    p = o + len;
+    const type = view.getInt32(o, true);
+    const hasZ = type >= 11 && type <= 18;
+    const properties = attrs[rec] || {};
+    const x = (k) => view.getFloat64(k, true);
+    let geometry = null;
+
+    if (type === 1 || type === 11 || type === 21) {
+      geometry = { type: 'Point', coordinates: hasZ ? [x(o + 4), x(o + 12), x(o + 20)] : [x(o + 4), x(o + 12)], hasZ };
+    } else if (type === 8 || type === 18 || type === 28) {
+      const n = view.getInt32(o + 36, true);
+      const zOff = o + 40 + n * 16 + 16;
+      const coords = [];
+      for (let i = 0; i < n; i++) coords.push(hasZ ? [x(o + 40 + i * 16), x(o + 48 + i * 16), x(zOff + i * 8)] : [x(o + 40 + i * 16), x(o + 48 + i * 16)]);
+      geometry = { type: 'MultiPoint', coordinates: coords, hasZ };
+    } else if ([3, 5, 13, 15, 23, 25].includes(type)) {
+      const nParts = view.getInt32(o + 36, true), nPts = view.getInt32(o + 40, true);
+      const ptsOff = o + 44 + nParts * 4;
+      const zOff = ptsOff + nPts * 16 + 16;
+      const paths = [];
+      for (let k = 0; k < nParts; k++) {
+        const from = view.getInt32(o + 44 + k * 4, true);
+        const to = k + 1 < nParts ? view.getInt32(o + 48 + k * 4, true) : nPts;
+        const path = [];
+        for (let i = from; i < to; i++) {
+          path.push(hasZ ? [x(ptsOff + i * 16), x(ptsOff + i * 16 + 8), x(zOff + i * 8)] : [x(ptsOff + i * 16), x(ptsOff + i * 16 + 8)]);
+        }
+        paths.push(path);
+      }
+      const isPolygon = type === 5 || type === 15 || type === 25;
+      geometry = { type: isPolygon ? 'Polygon' : 'MultiLineString', coordinates: paths, hasZ };
+    }
+    if (geometry) features.push({ type: 'Feature', id: rec + 1, properties, geometry });
+  }
+  return { type: fileType, features };
+}
+
+// Windows / ISO code page numbers (as .cpg files often hold them) → TextDecoder labels
+const CODE_PAGES = {
+  65001: 'utf-8', 874: 'windows-874', 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5',
+  866: 'ibm866', 20866: 'koi8-r', 21866: 'koi8-u', 20932: 'euc-jp', 54936: 'gb18030',
+  28591: 'iso-8859-1', 28592: 'iso-8859-2', 28593: 'iso-8859-3', 28594: 'iso-8859-4', 28595: 'iso-8859-5',
+  28596: 'iso-8859-6', 28597: 'iso-8859-7', 28598: 'iso-8859-8', 28599: 'iso-8859-9', 28603: 'iso-8859-13',
+  28605: 'iso-8859-15',
+};
+
+/** .cpg contents → TextDecoder label: 'UTF-8' as is, '1252' / 'ANSI 1252' / 'CP1252' → 'windows-1252', '88591' → 'iso-8859-1'. */
+function cpgEncoding(text) {
+  const label = text.trim();
+  const iso = /^(?:ISO)?[-_ ]?8859[-_ ]?(\d{1,2})$/i.exec(label);
+  if (iso) return `iso-8859-${iso[1]}`;
+  const page = /^(?:ANSI|CP|windows-?)?\s*(\d+)$/i.exec(label)?.[1];
+  if (!page) return label;
+  if (page >= 1250 && page <= 1258) return `windows-${page}`;
+  return CODE_PAGES[page] || label;
+}
+
+/** dBASE III/IV table → array of row objects (deleted rows kept as {} so indexes match the .shp). */
+function readDBF(bytes, encoding) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const count = view.getUint32(4, true);
+  const headerLen = view.getUint16(8, true);
+  const recordLen = view.getUint16(10, true);
+  let decoder;
+  try { decoder = new TextDecoder(encoding); } catch { decoder = new TextDecoder(); }
+
+  const fields = [];
+  for (let p = 32; p + 32 <= headerLen && bytes[p] !== 0x0D; p += 32) {
+    const raw = bytes.subarray(p, p + 11);
+    const nul = raw.indexOf(0);
+    fields.push({
+      name: decoder.decode(nul < 0 ? raw : raw.subarray(0, nul)).trim(),
+      type: String.fromCharCode(bytes[p + 11]),
+      length: bytes[p + 16],
+    });
+  }
+
+  const rows = [];
+  for (let r = 0, p = headerLen; r < count && p + recordLen <= bytes.byteLength; r++, p += recordLen) {
+    const row = {};
+    if (bytes[p] !== 0x2A) {   // '*' marks a deleted record
+      let off = p + 1;
+      for (const f of fields) {
+        const text = decoder.decode(bytes.subarray(off, off + f.length)).trim();
+        off += f.length;
+        if (f.type === 'N' || f.type === 'F') row[f.name] = text === '' || isNaN(+text) ? null : +text;
+        else if (f.type === 'L') row[f.name] = /^[YyTt]$/.test(text) ? true : /^[NnFf]$/.test(text) ? false : null;
+        else if (f.type === 'D') row[f.name] = /^\d{8}$/.test(text) ? `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6)}` : null;
+        else row[f.name] = text;
+      }
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Pull display attributes out of an OGC/ESRI WKT definition (.prj):
+ * CRS (EPSG code when the root has an AUTHORITY/ID, else its name), Coordinate System, Datum, Linear Unit.
+ */
+function parseWKT(wkt) {
+  const root = readWKTNode(wkt.trim(), { i: 0 });
+  if (!root || typeof root.args[0] !== 'string') return {};
+  const child = (node, ...keys) => node.args.find(a => typeof a === 'object' && keys.includes(a.keyword));
+  const find = (node, key) => {
+    for (const a of node.args) {
+      if (typeof a !== 'object') continue;
+      if (a.keyword === key) return a;
+      const hit = find(a, key);
+      if (hit) return hit;
+    }
+    return null;
+  };
+
+  const attrs = { 'Coordinate System': root.args[0] };
+  const datum = find(root, 'DATUM');
+  if (datum) attrs.Datum = datum.args[0];
+  const unit = child(root, 'UNIT', 'LENGTHUNIT') || find(child(root, 'CS', 'CARTESIANCS') || root, 'LENGTHUNIT');
+  if (unit && root.keyword !== 'GEOGCS' && !/degree/i.test(unit.args[0])) attrs['Linear Unit'] = String(unit.args[0]).replace(/_/g, ' ');
+  const auth = child(root, 'AUTHORITY', 'ID');
+  attrs.CRS = auth && /^EPSG$/i.test(auth.args[0]) ? `EPSG:${auth.args[1]}` : root.args[0];
+  return attrs;
+}
+
+/** Recursive-descent WKT reader: KEYWORD[arg, ...] → { keyword, args } (strings, numbers, nodes). */
+function readWKTNode(text, pos) {
+  const m = /^\s*([A-Za-z_][\w]*)\s*[[(]/.exec(text.slice(pos.i));
+  if (!m) return null;
+  pos.i += m[0].length;
+  const node = { keyword: m[1].toUpperCase(), args: [] };
+  while (pos.i < text.length) {
+    const rest = text.slice(pos.i);
+    const ws = /^[\s,]*/.exec(rest)[0].length;
+    pos.i += ws;
+    const c = text[pos.i];
+    if (c === ']' || c === ')') { pos.i++; break; }
+    if (c === '"') {
+      const close = text.indexOf('"', pos.i + 1);
+      node.args.push(text.slice(pos.i + 1, close));
+      pos.i = close + 1;
+    } else if (/[A-Za-z_]/.test(c) && /^[A-Za-z_]\w*\s*[[(]/.test(text.slice(pos.i, pos.i + 64))) {
+      node.args.push(readWKTNode(text, pos));
+    } else {
+      const tok = /^[^,\])]+/.exec(text.slice(pos.i))?.[0] ?? '';
+      if (!tok) { pos.i++; continue; }
+      node.args.push(isNaN(+tok) ? tok.trim() : +tok);
+      pos.i += tok.length;
+    }
+  }
+  return node;
+}
+
+// ── Point clouds: LAS ───────────────────────────────
+// Uncompressed LAS 1.0–1.4, point formats 0–3 and 6–8. Points are subsampled with a fixed
+// stride to fit the point budget; X = easting, Y = northing as in every other reader.
+
+const DEFAULT_POINT_BUDGET = 2_000_000;
+
+// Byte offset of the RGB triple within a point record, per point data format
+const LAS_RGB_OFFSET = { 2: 20, 3: 28, 7: 30, 8: 30 };
+const LAS_SUPPORTED  = new Set([0, 1, 2, 3, 6, 7, 8]);
+
+function parseLAS(buffer, fileName, pointBudget, onProgress) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 227 || String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3)) !== 'LASF') {
+    throw new Error('Not a LAS file');
+  }
+
+  const versionMajor = view.getUint8(24), versionMinor = view.getUint8(25);
+  const headerSize   = view.getUint16(94, true);
+  const dataOffset   = view.getUint32(96, true);
+  const vlrCount     = view.getUint32(100, true);
+  const rawFormat    = view.getUint8(104);
+  const format       = rawFormat & 0x3F;
+  const recordLength = view.getUint16(105, true);
+  if (rawFormat & 0x80) throw new Error('Compressed LAZ files are not supported — decompress to LAS first');
+  if (!LAS_SUPPORTED.has(format)) throw new Error(`Unsupported LAS point format ${format}`);
+
+  let total = view.getUint32(107, true);
+  if (headerSize >= 375 && total === 0) total = Number(view.getBigUint64(247, true));
+  total = Math.min(total, Math.floor((buffer.byteLength - dataOffset) / recordLength));
+  if (total <= 0) throw new Error('LAS file contains no points');
+
+  const scale  = [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)];
+  const offset = [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)];
+
+  const budget = Math.max(1, Math.floor(pointBudget || DEFAULT_POINT_BUDGET));
+  const stride = Math.max(1, Math.ceil(total / budget));
+  const count  = Math.ceil(total / stride);
+
+  // First pass: raw coordinates + attributes of the kept points
+  const coords = new Float64Array(count * 3);   // [northing, easting, elevation]
+  const classes = new Uint8Array(count);
+  const rgbOff = LAS_RGB_OFFSET[format];
+  const rgb16 = rgbOff !== undefined ? new Uint16Array(count * 3) : null;
+  const classOff = format >= 6 ? 16 : 15;
+  const classMask = format >= 6 ? 0xFF : 0x1F;
+  let rgbMax = 0;
+  const progressEvery = Math.max(1, Math.floor(count / 50));
+
+  for (let k = 0; k < count; k++) {
+    const o = dataOffset + k * stride * recordLength;
+    const e = view.getInt32(o, true) * scale[0] + offset[0];
+    const n = view.getInt32(o + 4, true) * scale[1] + offset[1];
+    const z = view.getInt32(o + 8, true) * scale[2] + offset[2];
+    coords[k * 3] = n; coords[k * 3 + 1] = e; coords[k * 3 + 2] = z;
+    classes[k] = view.getUint8(o + classOff) & classMask;
+    if (rgb16) {
+      for (let c = 0; c < 3; c++) {
+        const v = view.getUint16(o + rgbOff + c * 2, true);
+        rgb16[k * 3 + c] = v;
+        if (v > rgbMax) rgbMax = v;
+      }
+    }
+    if (k % progressEvery === 0) onProgress(k / count);
+  }
+
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  let sx = 0, sy = 0, sz = 0;
+  for (let i = 0; i < coords.length; i += 3) {
+    const x = coords[i], y = coords[i + 1], z = coords[i + 2];
+    sx += x; sy += y; sz += z;
+    if (x < minX) minX = x; if (x > maxX) maxX = x;
+    if (y < minY) minY = y; if (y > maxY) maxY = y;
+    if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+  }
+  const centroid = { x: sx / count, y: sy / count, z: sz / count };
+  const bbox = {
+    min: { x: minX, y: minY, z: minZ },
+    max: { x: maxX, y: maxY, z: maxZ },
+    centroid: { x: (minX + maxX) / 2, y: (minY + maxY) / 2, z: (minZ + maxZ) / 2 }
+  };
+
+  const pointBuffer = new Float32Array(count * 3);
+  for (let i = 0; i < coords.length; i += 3) {
+    pointBuffer[i]     = coords[i]     - centroid.x;
+    pointBuffer[i + 1] = coords[i + 1] - centroid.y;
+    pointBuffer[i + 2] = coords[i + 2] - centroid.z;
+  }
+
+  // 16-bit colour per spec, but many writers store 8-bit values — only rescale when needed
+  let rgb = null;
+  if (rgb16 && rgbMax > 0) {
+    const shift = rgbMax > 255 ? 8 : 0;
+    rgb = new Uint8Array(rgb16.length);
+    for (let i = 0; i < rgb16.length; i++) rgb[i] = rgb16[i] >> shift;
+  }
+
+  const classCounts = {};
+  for (let i = 0; i < count; i++) classCounts[classes[i]] = (classCounts[classes[i]] || 0) + 1;
+
+  const crsAttrs = readLASCRS(view, headerSize, vlrCount);
+  const crsRow = crsAttrs.CRS ? { 'CRS': crsAttrs.CRS, ...(crsAttrs['Linear Unit'] ? { 'Linear Unit': crsAttrs['Linear Unit'] } : {}) } : {};
+  const name = fileName.replace(/\.[^.]+$/, '');
+  const meta = {
+    'Format': `LAS ${versionMajor}.${versionMinor} (point format ${format})`,
+    'Points in File': total.toLocaleString(),
+    'Points Displayed': count.toLocaleString(),
+    ...(stride > 1 ? { 'Subsampled': `Every ${stride} points (budget ${budget.toLocaleString()})` } : {}),
+    'Color Data': rgb ? 'RGB' : 'None',
+    'Classes': Object.keys(classCounts).join(', '),
+    'Easting Range':   `${bbox.min.y.toFixed(2)} - ${bbox.max.y.toFixed(2)}`,
+    'Northing Range':  `${bbox.min.x.toFixed(2)} - ${bbox.max.x.toFixed(2)}`,
+    'Elevation Range': `${bbox.min.z.toFixed(2)} - ${bbox.max.z.toFixed(2)}`,
+    ...crsRow,
+  };
+
+  return {
+    surfaces: [{
+      name,
+      type: 'PointCloud',
+      pointBuffer,
+      ...(rgb ? { rgb } : {}),
+      classification: classes,
+      centroid,
+      rawBBox: bbox,
+      meta,
+    }],
+    fileMeta: { 'Format': meta['Format'], 'Points in File': meta['Points in File'], ...crsRow },
+    crsAttrs,
+  };
+}
+
+/**
+ * CRS attributes from the projection records: an OGC WKT record (LASF_Projection / 2112, which
+ * LAS 1.4 writers may also put in an extended VLR after the points) read with parseWKT, else
+ * the EPSG code from the GeoKeyDirectory (LASF_Projection / 34735). Empty when neither is present.
+ */
+function readLASCRS(view, headerSize, vlrCount) {
+  const userIdAt = (o) => {
+    let id = '';
+    for (let c = 0; c < 16; c++) {
+      const ch = view.getUint8(o + c);
+      if (ch === 0) break;
+      id += String.fromCharCode(ch);
+    }
+    return id;
+  };
+
+  const records = [];
+  let off = headerSize;
+  for (let i = 0; i < vlrCount && off + 54 <= view.byteLength; i++) {
+    const length = view.getUint16(off + 20, true);
+    records.push({ userId: userIdAt(off + 2), recordId: view.getUint16(off + 18, true), body: off + 54, length });
+    off += 54 + length;
+  }
+  // LAS 1.4 extended VLRs: 60-byte headers with 64-bit lengths, located from the header
+  if (headerSize >= 375) {
+    let evlr = Number(view.getBigUint64(235, true));
+    const evlrCount = view.getUint32(243, true);
+    for (let i = 0; i < evlrCount && evlr > 0 && evlr + 60 <= view.byteLength; i++) {
+      const length = Number(view.getBigUint64(evlr + 20, true));
+      records.push({ userId: userIdAt(evlr + 2), recordId: view.getUint16(evlr + 18, true), body: evlr + 60, length });
+      evlr += 60 + length;
+    }
+  }
+  const projection = records.filter(r => r.userId === 'LASF_Projection' && r.body + r.length <= view.byteLength);
+
+  const wkt = projection.find(r => r.recordId === 2112);
+  if (wkt) {
+    const text = new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + wkt.body, wkt.length));
+    const attrs = parseWKT(text.replace(/\0[\s\S]*$/, ''));
+    if (attrs.CRS) return attrs;
+  }
+
+  const geoKeys = projection.find(r => r.recordId === 34735 && r.length >= 8);
+  if (geoKeys) {
+    const nKeys = view.getUint16(geoKeys.body + 6, true);
+    for (let k = 0; k < nKeys && 8 + k * 8 + 8 <= geoKeys.length; k++) {
+      const e = geoKeys.body + 8 + k * 8;
+      const keyId = view.getUint16(e, true), location = view.getUint16(e + 2, true), value = view.getUint16(e + 6, true);
+      if (location === 0 && (keyId === 3072 || keyId === 2048) && value > 0 && value !== 32767) return { CRS: `EPSG:${value}` };
+    }
+  }
+  return {};
+}
+
+// ── Point files: CSV / TXT (PNEZD, PENZD, XYZ, ...) ─
+// Column mapping comes from the upload dialog: { delimiter, hasHeader, columns, unitScale, fileUnit, sceneUnit }.
+// Lines are split with splitPointLine (pointFile.js), shared with the dialog's preview.
+
+function parsePointFile(text, fileName, mapping) {
+  const { delimiter = ',', hasHeader = false, columns, unitScale = 1 } = mapping || {};
+  if (!columns || columns.n < 0 || columns.e < 0) throw new Error('Point file needs Northing and Easting columns');
+
+  const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith('#'));
+  // Whitespace-delimited descriptions may contain blanks: a trailing description column takes the rest of the line
+  const descTakesRest = delimiter === ' ' && columns.desc >= 0 && columns.desc === Math.max(...Object.values(columns));
+  const points = [];
+  let skipped = 0;
+  lines.forEach((line, i) => {
+    if (hasHeader && i === 0) return;
+    const cells = splitPointLine(line, delimiter);
+    const n = parseFloat(cells[columns.n]), e = parseFloat(cells[columns.e]);
+    if (isNaN(n) || isNaN(e)) { skipped++; return; }
+    const z = columns.z >= 0 ? parseFloat(cells[columns.z]) : NaN;
+    const hasZ = !isNaN(z);
+    points.push({
+      name: (columns.name >= 0 && cells[columns.name]) || `${points.length + 1}`,
+      code: '',
+      desc: columns.desc < 0 ? '' : descTakesRest ? cells.slice(columns.desc).join(' ') : (cells[columns.desc] ?? ''),
+      n: n * unitScale,
+      e: e * unitScale,
+      z: hasZ ? z * unitScale : 0,
+      hasZ,
+    });
+  });
+  if (points.length === 0) throw new Error('No valid points found — check the column mapping');
+
+  const rawPts = points.map(p => [p.n, p.e, p.z]);
+  const centroid = computeCentroid(rawPts);
+  const bbox = computeBBox(rawPts);
+  const name = fileName.replace(/\.[^.]+$/, '');
+  const unitNote = unitScale !== 1 ? `${mapping.fileUnit} → ${mapping.sceneUnit}` : (mapping.fileUnit || '');
+
+  return {
+    surfaces: [{
+      name,
+      type: 'Points',
+      points,
+      centroid,
+      rawBBox: bbox,
+      meta: {
+        'Point Count':     points.length,
+        ...(skipped ? { 'Rows Skipped': skipped } : {}),
+        ...(unitNote ? { 'Units': unitNote } : {}),
+        'Easting Range':   `${bbox.min.y.toFixed(2)} – ${bbox.max.y.toFixed(2)}`,
+        'Northing Range':  `${bbox.min.x.toFixed(2)} – ${bbox.max.x.toFixed(2)}`,
+        ...pointElevationRows(points),
+        ...pointAttributeRows(points),
+      }
+    }],
+    fileMeta: { 'Format': 'Point file', 'Point Count': points.length, ...(unitNote ? { 'Units': unitNote } : {}) },
+    crsAttrs: {},
+  };
+}
+
+// ── Imagery: RGB GeoTIFF / PNG / JPG + world file ───
+// Decoded to an ImageBitmap (transferred, never copied) no larger than MAX_TEXTURE_DIM per side,
+// with its real-world footprint. North-up images only: rotated world files are rejected.
+
+const MAX_TEXTURE_DIM = 4096;
+const WORLD_FILE_EXTENSIONS = ['.pgw', '.pngw', '.jgw', '.jpgw', '.wld'];
+
+function textureSize(width, height) {
+  const scale = Math.min(1, MAX_TEXTURE_DIM / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+async function parseImageryTIFF(image, fileName) {
+  const srcW = image.width, srcH = image.height;
+  const { width, height } = textureSize(srcW, srcH);
+  const [r, g, b] = await image.readBands([0, 1, 2], width, height);
+  const shift = Math.max(0, image.bitsPerSample - 8);   // 16-bit imagery → 8-bit
+
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, j = 0; j < r.length; i += 4, j++) {
+    rgba[i] = r[j] >> shift; rgba[i + 1] = g[j] >> shift; rgba[i + 2] = b[j] >> shift; rgba[i + 3] = 255;
+  }
+  const bitmap = await createImageBitmap(new ImageData(rgba, width, height));
+
+  const [minE, minN, maxE, maxN] = image.bbox;
+  return imageryResult(fileName, bitmap, { minE, minN, maxE, maxN }, srcW, srcH, 'GeoTIFF (RGB)', geoTIFFEpsg(image));
+}
+
+async function parseImageryFile(buffer, fileName, companions = {}) {
+  const worldExt = WORLD_FILE_EXTENSIONS.find(ext => companions[ext]);
+  if (!worldExt) throw new Error(`Missing world file — select the image together with its ${WORLD_FILE_EXTENSIONS.join('/')}`);
+  const [a, d, b, e, c, f] = companions[worldExt].trim().split(/\s+/).map(Number);
+  if ([a, d, b, e, c, f].some(isNaN)) throw new Error(`Invalid world file (${worldExt})`);
+  if (d !== 0 || b !== 0) throw new Error('Rotated world files are not supported');
+
+  const blob = new Blob([buffer]);
+  const probe = await createImageBitmap(blob);
+  const srcW = probe.width, srcH = probe.height;
+  const { width, height } = textureSize(srcW, srcH);
+  let bitmap = probe;
+  if (width !== srcW || height !== srcH) {
+    probe.close();
+    bitmap = await createImageBitmap(blob, { resizeWidth: width, resizeHeight: height, resizeQuality: 'high' });
+  }
+
+  // C/F locate the centre of the upper-left pixel; E is negative for north-up images
+  const minE = c - a / 2, maxN = f - e / 2;
+  const bounds = { minE, maxE: minE + a * srcW, minN: maxN + e * srcH, maxN };
+  const format = fileName.split('.').pop().toUpperCase();
+  return imageryResult(fileName, bitmap, bounds, srcW, srcH, `${format} + world file`, null);
+}
+
+function imageryResult(fileName, bitmap, bounds, srcW, srcH, format, epsg) {
+  return {
+    surfaces: [],
+    imagery: {
+      name: fileName.replace(/\.[^.]+$/, ''),
+      bitmap,
+      bounds,
+      meta: {
+        'Format': format,
+        'Image Size': `${srcW} × ${srcH}`,
+        ...(bitmap.width !== srcW ? { 'Texture Size': `${bitmap.width} × ${bitmap.height} (downsampled)` } : {}),
+        'Pixel Size': `${((bounds.maxE - bounds.minE) / srcW).toFixed(4)} × ${((bounds.maxN - bounds.minN) / srcH).toFixed(4)}`,
+        'Easting Range':  `${bounds.minE.toFixed(2)} - ${bounds.maxE.toFixed(2)}`,
+        'Northing Range': `${bounds.minN.toFixed(2)} - ${bounds.maxN.toFixed(2)}`,
+      }
+    },
+    fileMeta: { 'Format': format, 'Image Size': `${srcW} × ${srcH}` },
+    crsAttrs: epsg ? { CRS: `EPSG:${epsg}` } : {},
+  };
+}
+
 // ── DEM orchestrator ────────────────────────────────
 
-async function parseDEM(content, fileName, fileType) {
+/** WKT from the <SRS> element of a GDAL .aux.xml (PAM) sidecar, if it holds one. */
+function auxXMLSRS(xml) {
+  const srs = /<SRS[^>]*>([\s\S]*?)<\/SRS>/i.exec(xml || '')?.[1];
+  if (!srs) return null;
+  const text = srs.replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  return /^\s*[A-Za-z_]+\s*[[(]/.test(text) ? text : null;
+}
+
+/** DEM file → surface result. For 'geotiff', content is the image the caller opened with openTIFF. */
+async function parseDEM(content, fileName, fileType, options = {}) {
   let gridData;
   if (fileType === 'asc') {
     gridData = parseASCGrid(content);
+  } else if (fileType === 'xyz') {
+    gridData = parseXYZGrid(content);
+  } else if (fileType === 'flt') {
+    gridData = parseFLTGrid(content, options.companions?.['.hdr']);
   } else if (fileType === 'geotiff') {
     gridData = await parseGeoTIFFInWorker(content);
   } else {
@@ -228,46 +2212,87 @@ async function parseDEM(content, fileName, fileType) {
   }
 
   const surfaceName = fileName.replace(/\.[^.]+$/, '');
-  const surface = buildDEMSurface(gridData, surfaceName);
+  const surface = buildDEMSurface(gridData, surfaceName, options.demTolerance ?? 0);
 
   const fileMeta = { ...gridData.meta };
-  if (surface.downsampled) {
-    fileMeta['Display Resolution'] = `Downsampled to fit viewer (original ${gridData.width} × ${gridData.height})`;
+  if (surface.lod) {
+    fileMeta['Display Resolution'] = `Tiled level of detail (${surface.lod.levels + 1} levels)`;
   }
+  fileMeta['Reduction'] = surface.meta['Reduction'];
 
-  const crsAttrs = {};
-  if (gridData.crs?.epsg) crsAttrs.CRS = `EPSG:${gridData.crs.epsg}`;
+  let crsAttrs = {};
+  if (gridData.crs?.epsg) {
+    crsAttrs.CRS = `EPSG:${gridData.crs.epsg}`;
+  } else {
+    // ESRI grids carry their CRS in a .prj sidecar; any raster may have it in GDAL's .aux.xml
+    const wkt = options.companions?.['.prj'] || auxXMLSRS(options.companions?.['.aux.xml']);
+    if (wkt) crsAttrs = parseWKT(wkt);
+    if (crsAttrs['Linear Unit']) fileMeta['Linear Unit'] = crsAttrs['Linear Unit'];
+  }
 
   return { surfaces: [surface], fileMeta, crsAttrs };
 }
 
 // ── Message handler ─────────────────────────────────
-// LandXML is now parsed on the main thread; worker only handles DEM formats.
-
-let geotiffLoaded = false;
 
 self.onmessage = async (e) => {
-  const { type, content, fileName } = e.data;
+  const { id, type, content, fileName, options = {} } = e.data;
 
   try {
     let result;
 
-    if (type === 'landxml') {
-      throw new Error('LandXML should be parsed on the main thread');
-    }
+    let lastPct = -1;
+    const onProgress = (fraction) => {
+      const pct = Math.floor(fraction * 100);
+      if (pct !== lastPct) { lastPct = pct; self.postMessage({ id, progress: fraction }); }
+    };
 
-    // Load geotiff.js in the worker on first DEM use
-    if (!geotiffLoaded && (type === 'geotiff')) {
-      importScripts('https://cdn.jsdelivr.net/npm/geotiff');
-      geotiffLoaded = true;
+    if (type === 'landxml') {
+      result = parseLandXMLStream(content, fileName, onProgress);
+    } else if (type === 'points') {
+      result = parsePointFile(content, fileName, options);
+    } else if (type === 'las') {
+      result = parseLAS(content, fileName, options.pointBudget, onProgress);
+    } else if (type === 'dxf') {
+      result = parseDXF(content, fileName, onProgress);
+    } else if (type === 'geojson') {
+      result = parseGeoJSON(content, fileName);
+    } else if (type === 'shapefile') {
+      result = await parseShapefileZip(content, fileName, onProgress);
+    } else if (type in MODEL_FORMATS) {
+      result = parseModel(content, fileName, type);
+    } else if (type === 'demTile') {
+      const dem = demStore.get(options.demId);
+      if (!dem) throw new Error('DEM is no longer loaded');
+      const { vertexBuffer, indexBuffer } = buildDEMTile(dem, options.level, options.tx, options.ty);
+      result = { surfaces: [], tile: { vertexBuffer, indexBuffer } };
+    } else if (type === 'demTIN') {
+      const dem = demStore.get(options.demId);
+      if (!dem) throw new Error('DEM is no longer loaded');
+      result = { surfaces: [], tin: buildDEMTIN(dem) };
+    } else if (type === 'meshTIN') {
+      result = { surfaces: [], tin: buildMeshTIN(new Float32Array(content), options.offset) };
+    } else if (type === 'demRelease') {
+      demStore.delete(options.demId);
+      result = { surfaces: [] };
+    } else if (type === 'image') {
+      result = await parseImageryFile(content, fileName, options.companions);
+    } else if (type === 'geotiff') {
+      // Three or more bands: an orthophoto rather than elevation
+      const image = openTIFF(content);
+      result = image.samplesPerPixel >= 3
+        ? await parseImageryTIFF(image, fileName)
+        : await parseDEM(image, fileName, type, options);
+    } else {
+      result = await parseDEM(content, fileName, type, options);
     }
-    result = await parseDEM(content, fileName, type);
 
-    // Collect transferable buffers
-    const transfers = result.surfaces.map(s => s.vertexBuffer.buffer);
+    // Collect transferable buffers (and the decoded image, if any)
+    const transfers = [...collectTransfers([result.surfaces, result.tile, result.tin])];
+    if (result.imagery) transfers.push(result.imagery.bitmap);
 
-    self.postMessage({ ok: true, ...result }, transfers);
+    self.postMessage({ id, ok: true, ...result }, transfers);
   } catch (err) {
-    self.postMessage({ ok: false, error: err.message });
+    self.postMessage({ id, ok: false, error: err.message });
   }
 };
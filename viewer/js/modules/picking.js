@@ -0,0 +1,75 @@
+/**
+ * Picking
+ * Left-click while flying to select the pipe, structure, GIS feature or point under the crosshair.
+ * Only objects carrying userData.parts (per-part triangle or segment ranges) and point
+ * markers (userData.points) are pickable, so buried pipe networks can be selected through
+ * the terrain above them.
+ */
+
+import * as THREE from '../libs/three.module.js';
+import { showMetadata } from './dataTree.js';
+import { setStatus } from './uiController.js';
+
+const raycaster = new THREE.Raycaster();
+const CENTER = new THREE.Vector2(0, 0);
+
+/** Listen for left-clicks on the canvas and show metadata for the part under the crosshair. */
+export function initPicking(scene, camera, controls, domElement) {
+    domElement.addEventListener('mousedown', (e) => {
+        if (!controls.enabled || e.button !== 0) return;
+
+        const pickable = [];
+        scene.traverseVisible(o => {
+            if ((o.isMesh || o.isLineSegments) && o.userData.parts) pickable.push(o);
+            else if (o.isInstancedMesh && o.userData.points) pickable.push(o);
+        });
+        if (pickable.length === 0) return;
+
+        raycaster.setFromCamera(CENTER, camera);
+        for (const hit of raycaster.intersectObjects(pickable, false)) {
+            const part = hitPart(hit);
+            if (!part) continue;
+            const name = part.name || part.kind;
+            showMetadata({ name, metadata: part.meta });
+            setStatus(`Selected ${part.kind.toLowerCase()} ${name} — Press Esc to Exit`);
+            return;
+        }
+    });
+}
+
+/** The part (or point) a raycast hit landed on, shaped { kind, name, meta }. */
+function hitPart(hit) {
+    const { object } = hit;
+    if (object.isInstancedMesh && object.userData.points) {
+        const p = object.userData.points[hit.instanceId];
+        if (!p) return null;
+        return {
+            kind: 'Point',
+            name: p.name,
+            meta: {
+                'Code': p.code,
+                'Description': p.desc,
+                'Northing': p.n.toFixed(3),
+                'Easting': p.e.toFixed(3),
+                'Elevation': p.hasZ ? p.z.toFixed(3) : '—',
+                ...p.attributes,
+            },
+        };
+    }
+    // LineSegments hits report the segment's first vertex
+    if (object.isLineSegments) return findPart(object.userData.parts, hit.index >> 1, 'startSeg', 'endSeg');
+    return findPart(object.userData.parts, hit.faceIndex, 'startTri', 'endTri');
+}
+
+/** Binary search the part whose [start, end) range contains the triangle or segment index. */
+function findPart(parts, index, start, end) {
+    let lo = 0, hi = parts.length - 1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        const p = parts[mid];
+        if (index < p[start]) hi = mid - 1;
+        else if (index >= p[end]) lo = mid + 1;
+        else return p;
+    }
+    return null;
+}
@@ -0,0 +1,20 @@
+/**
+ * Point File
+ * Line tokenizer for plain-text point files (PNEZD, PENZD, XYZ, ...), shared by the
+ * column-mapping dialog's preview and the parse worker so both split rows the same way.
+ */
+
+/** Split one line of a point file. Whitespace-delimited files collapse runs of blanks. */
+export function splitPointLine(line, delimiter) {
+  if (delimiter === ' ') return line.trim().split(/\s+/);
+  // Quote-aware: "CP, set" stays one cell
+  const cells = [];
+  let cur = '', quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === delimiter && !quoted) { cells.push(cur.trim()); cur = ''; }
+    else cur += ch;
+  }
+  cells.push(cur.trim());
+  return cells;
+}
@@ -0,0 +1,205 @@
+/**
+ * Point File Dialog
+ * Column-mapping popup for plain-text point files (PNEZD, PENZD, XYZ, ...).
+ * Guesses the delimiter, header row and layout, shows a preview, and resolves
+ * with the mapping the parse worker needs — or null if the user cancels.
+ */
+
+import { getFiles } from './sceneData.js';
+import { splitPointLine } from './pointFile.js';
+
+const DELIMITERS = [
+    { value: ',',  label: 'Comma' },
+    { value: '\t', label: 'Tab' },
+    { value: ';',  label: 'Semicolon' },
+    { value: ' ',  label: 'Whitespace' },
+];
+
+// Column order per preset: P = point #, N/E/Z, D = description
+const PRESETS = { PNEZD: 'PNEZD', PENZD: 'PENZD', PNEZ: 'PNEZ', PENZ: 'PENZ', 'XYZ (E N Z)': 'ENZ', 'NEZ': 'NEZ' };
+
+const UNITS = {
+    meter:        { label: 'Meters',             toMeters: 1 },
+    usSurveyFoot: { label: 'US survey feet',     toMeters: 1200 / 3937 },
+    foot:         { label: 'International feet', toMeters: 0.3048 },
+};
+
+const FIELDS = [
+    { key: 'name', label: 'Point #',     letter: 'P' },
+    { key: 'n',    label: 'Northing',    letter: 'N' },
+    { key: 'e',    label: 'Easting',     letter: 'E' },
+    { key: 'z',    label: 'Elevation',   letter: 'Z' },
+    { key: 'desc', label: 'Description', letter: 'D' },
+];
+
+const PREVIEW_ROWS = 6;
+
+// Dialogs open one at a time: each waits for the previous file's to be answered
+let dialogQueue = Promise.resolve();
+
+/** Guess the delimiter from the first few lines (most consistent non-zero count wins). */
+function detectDelimiter(lines) {
+    let best = ' ', bestScore = 0;
+    for (const { value } of DELIMITERS.slice(0, 3)) {
+        const counts = lines.map(l => l.split(value).length - 1);
+        const min = Math.min(...counts);
+        if (min > 0 && min >= bestScore) { best = value; bestScore = min; }
+    }
+    return best;
+}
+
+/** Map header names (Northing, X, Elev, Desc, ...) to fields; null if the header says nothing useful. */
+function columnsFromHeader(header) {
+    const patterns = {
+        name: /^(p|pt|pnt|point|point ?(#|no|num|number|id)|id|name)$/i,
+        n:    /^(n|north|northing|y)$/i,
+        e:    /^(e|east|easting|x)$/i,
+        z:    /^(z|elev|elevation|height|h)$/i,
+        desc: /^(d|desc|description|code|raw ?desc)$/i,
+    };
+    const cols = { name: -1, n: -1, e: -1, z: -1, desc: -1 };
+    header.forEach((h, i) => {
+        for (const [key, re] of Object.entries(patterns)) {
+            if (cols[key] === -1 && re.test(h.trim())) { cols[key] = i; break; }
+        }
+    });
+    return cols.n >= 0 && cols.e >= 0 ? cols : null;
+}
+
+function columnsFromPreset(order) {
+    const cols = { name: -1, n: -1, e: -1, z: -1, desc: -1 };
+    [...order].forEach((letter, i) => {
+        const field = FIELDS.find(f => f.letter === letter);
+        if (field) cols[field.key] = i;
+    });
+    return cols;
+}
+
+/** Scene linear unit from already-loaded files (LandXML 'Linear Unit'), if any. */
+function detectSceneUnit() {
+    for (const file of getFiles()) {
+        const u = (file.metadata?.['Linear Unit'] || '').toLowerCase().replace(/[\s_-]/g, '');
+        if (!u) continue;
+        if (u.includes('survey')) return 'usSurveyFoot';
+        if (u.includes('foot') || u.includes('feet')) return 'foot';
+        if (u.includes('met')) return 'meter';
+    }
+    return null;
+}
+
+/**
+ * Show the mapping dialog for a point file. When several point files arrive together their
+ * dialogs are queued and shown one after another.
+ * @param {string} fileName
+ * @param {string} text - file contents
+ * @returns {Promise<{ delimiter, hasHeader, columns: { name, n, e, z, desc }, unitScale, fileUnit, sceneUnit } | null>}
+ */
+export function showPointFileDialog(fileName, text) {
+    const shown = dialogQueue.then(() => openDialog(fileName, text));
+    dialogQueue = shown.catch(() => null);
+    return shown;
+}
+
+function openDialog(fileName, text) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith('#')).slice(0, 50);
+    if (lines.length === 0) return Promise.resolve(null);
+
+    const delimiter = detectDelimiter(lines.slice(0, 10));
+    const first = splitPointLine(lines[0], delimiter);
+    const headerCols = columnsFromHeader(first);
+    const hasHeader = !!headerCols || first.filter(c => c !== '' && isNaN(Number(c))).length >= 2;
+    const width = Math.max(...lines.slice(0, 10).map(l => splitPointLine(l, delimiter).length));
+    const guessPreset = width >= 5 ? 'PNEZD' : width === 4 ? 'PNEZ' : 'XYZ (E N Z)';
+    const sceneUnit = detectSceneUnit();
+
+    const state = {
+        delimiter,
+        hasHeader,
+        preset: headerCols ? 'Custom' : guessPreset,
+        columns: headerCols || columnsFromPreset(PRESETS[guessPreset]),
+        fileUnit: sceneUnit || 'meter',
+        sceneUnit: sceneUnit || 'meter',
+    };
+
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.id = 'point-dialog-overlay';
+        overlay.className = 'point-dialog-overlay';
+        document.body.appendChild(overlay);
+
+        const close = (result) => { overlay.remove(); resolve(result); };
+
+        const render = () => {
+            const rows = lines.map(l => splitPointLine(l, state.delimiter));
+            const nCols = Math.max(...rows.slice(0, 10).map(r => r.length));
+            const header = state.hasHeader ? rows[0] : null;
+            const colLabel = (i) => `${i + 1}${header?.[i] ? `: ${header[i]}` : ''}`;
+            const opt = (value, label, selected) => `<option value="${esc(String(value))}"${selected ? ' selected' : ''}>${esc(label)}</option>`;
+
+            let html = `<div class="point-dialog-box">`;
+            html += `<div class="point-dialog-title">Import points — <strong>${esc(fileName)}</strong></div>`;
+            html += `<div class="point-dialog-grid">`;
+            html += `<label>Delimiter</label><select data-field="delimiter">${DELIMITERS.map(d => opt(d.value, d.label, d.value === state.delimiter)).join('')}</select>`;
+            html += `<label>Format</label><select data-field="preset">${[...Object.keys(PRESETS), 'Custom'].map(p => opt(p, p, p === state.preset)).join('')}</select>`;
+            html += `<label>Header row</label><label class="point-dialog-check"><input type="checkbox" data-field="hasHeader"${state.hasHeader ? ' checked' : ''}> First row is a header</label>`;
+            for (const f of FIELDS) {
+                const cur = state.columns[f.key];
+                html += `<label>${f.label}</label><select data-col="${f.key}">${opt(-1, '—', cur === -1)}${Array.from({ length: nCols }, (_, i) => opt(i, colLabel(i), cur === i)).join('')}</select>`;
+            }
+            html += `<label>File units</label><select data-field="fileUnit">${Object.entries(UNITS).map(([k, u]) => opt(k, u.label, k === state.fileUnit)).join('')}</select>`;
+            html += `<label>Scene units</label><select data-field="sceneUnit">${Object.entries(UNITS).map(([k, u]) => opt(k, u.label, k === state.sceneUnit)).join('')}</select>`;
+            html += `</div>`;
+
+            // Preview: mapped columns are tagged with their field letter
+            const tag = (i) => FIELDS.find(f => state.columns[f.key] === i)?.letter || '';
+            html += `<div class="point-dialog-preview"><table><tr>${Array.from({ length: nCols }, (_, i) => `<th>${tag(i)}</th>`).join('')}</tr>`;
+            for (const r of rows.slice(0, PREVIEW_ROWS + (state.hasHeader ? 1 : 0))) {
+                html += `<tr>${Array.from({ length: nCols }, (_, i) => `<td>${esc(r[i] ?? '')}</td>`).join('')}</tr>`;
+            }
+            html += `</table></div>`;
+
+            const valid = state.columns.n >= 0 && state.columns.e >= 0;
+            html += `<div class="point-dialog-actions">`;
+            html += `<button class="point-dialog-btn point-dialog-cancel">Cancel</button>`;
+            html += `<button class="point-dialog-btn point-dialog-ok"${valid ? '' : ' disabled'} title="${valid ? '' : 'Choose Northing and Easting columns'}">Load</button>`;
+            html += `</div></div>`;
+            overlay.innerHTML = html;
+
+            overlay.querySelectorAll('select[data-field], input[data-field]').forEach(el => {
+                el.addEventListener('change', () => {
+                    const key = el.dataset.field;
+                    state[key] = el.type === 'checkbox' ? el.checked : el.value;
+                    if (key === 'preset' && PRESETS[el.value]) state.columns = columnsFromPreset(PRESETS[el.value]);
+                    render();
+                });
+            });
+            overlay.querySelectorAll('select[data-col]').forEach(el => {
+                el.addEventListener('change', () => {
+                    state.columns = { ...state.columns, [el.dataset.col]: parseInt(el.value, 10) };
+                    state.preset = 'Custom';
+                    render();
+                });
+            });
+            overlay.querySelector('.point-dialog-cancel').addEventListener('click', () => close(null));
+            overlay.querySelector('.point-dialog-ok').addEventListener('click', () => {
+                close({
+                    delimiter: state.delimiter,
+                    hasHeader: state.hasHeader,
+                    columns: { ...state.columns },
+                    fileUnit: UNITS[state.fileUnit].label,
+                    sceneUnit: UNITS[state.sceneUnit].label,
+                    unitScale: UNITS[state.fileUnit].toMeters / UNITS[state.sceneUnit].toMeters,
+                });
+            });
+        };
+
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) close(null); });
+        render();
+    });
+}
+
+function esc(str) {
+    const d = document.createElement('div');
+    d.textContent = str;
+    return d.innerHTML;
+}
@@ -9,7 +9,7 @@
  *       name:     'site.xml',
  *       groups: {
  *         Surface: [
- *           { id: 'obj-0', name: 'Existing Ground', mesh, metadata, visible }
+ *           { id: 'obj-0', name: 'Existing Ground', mesh, metadata, visible, style, overlays?, overlayMeta?, colorModes? }
  *         ],
  *         PipeNetwork: [ ... ],
  *         Points: [ ... ]
@@ -40,17 +40,18 @@ function notify() {
 /**
  * Add a parsed file and its objects to the store.
  * @param {string} fileName
- * @param {{ mesh, type, name?, metadata? }[]} objects
+ * @param {{ mesh, type, name?, metadata?, style? }[]} objects - style restores a saved { color, displayMode }
  * @param {object} [fileMeta] - file-level metadata (CRS, project, etc.)
- * @param {Document|null} [xmlDoc] - original parsed XML DOM for round-trip save
+ * @param {string|null} [xmlText] - original LandXML text for round-trip save (parsed to xmlDoc on export)
  * @returns {object} the file entry
  */
-export function addFile(fileName, objects, fileMeta = {}, xmlDoc = null) {
+export function addFile(fileName, objects, fileMeta = {}, xmlText = null) {
     const fileEntry = {
         id: `file-${nextFileId++}`,
         name: fileName,
         metadata: fileMeta,
-        xmlDoc,
+        xmlText,
+        xmlDoc: null,
         groups: {}
     };
 
@@ -68,16 +69,37 @@ export function addFile(fileName, objects, fileMeta = {}, xmlDoc = null) {
                 }
             });
         }
+        const name = obj.name || obj.mesh?.name || `${type} ${fileEntry.groups[type].length + 1}`;
         const entry = {
             id: `obj-${nextObjId++}`,
-            name: obj.name || obj.mesh?.name || `${type} ${fileEntry.groups[type].length + 1}`,
+            name,
+            sourceName: name,   // name in the source file; stays put when the object is renamed
             mesh: obj.mesh,
             metadata: obj.metadata || {},
             visible: true,
             style: { color: null, displayMode: 'solid', defaultColor }
         };
+        // Point clouds: display mode is the active colour mode
+        if (obj.mesh?.userData?.colorModes) {
+            entry.colorModes = obj.mesh.userData.colorModes;
+            entry.style.displayMode = obj.mesh.userData.colorMode;
+        }
+        // Optional child overlays (e.g. surface breaklines) start hidden
+        const overlays = obj.mesh?.userData?.overlays;
+        if (overlays) {
+            entry.overlays = Object.fromEntries(Object.entries(overlays).map(([key, o]) => [key, !!o.visible]));
+            entry.overlayMeta = Object.fromEntries(Object.entries(overlays).map(([key, o]) => [key, o.userData?.meta || {}]));
+        }
 
         fileEntry.groups[type].push(entry);
+
+        // Saved style (e.g. embedded in a re-opened LandXML export)
+        if (obj.style) {
+            const patch = {};
+            if (obj.style.color) patch.color = obj.style.color;
+            if (obj.style.displayMode && obj.style.displayMode !== 'solid') patch.displayMode = obj.style.displayMode;
+            applyStyle(entry, patch);
+        }
     }
 
     files.push(fileEntry);
@@ -143,6 +165,35 @@ export function setGroupVisibility(fileId, type, visible) {
     notify();
 }
 
+/**
+ * Toggle one of an object's child overlays (mesh.userData.overlays[key]).
+ * Returns the new visibility state, or undefined if the object has no such overlay.
+ */
+export function toggleOverlay(objId, key) {
+    const obj = findObject(objId);
+    const overlay = obj?.mesh?.userData?.overlays?.[key];
+    if (!overlay) return;
+    overlay.visible = !overlay.visible;
+    obj.overlays[key] = overlay.visible;
+    notify();
+    return overlay.visible;
+}
+
+/**
+ * Attach (or with null, detach) an overlay after the object was added — e.g. imagery
+ * draped once an orthophoto loads. The caller adds/removes the Object3D itself.
+ */
+export function setOverlay(objId, key, overlay) {
+    const obj = findObject(objId);
+    if (!obj?.mesh) return;
+    const overlays = obj.mesh.userData.overlays || (obj.mesh.userData.overlays = {});
+    if (overlay) overlays[key] = overlay;
+    else delete overlays[key];
+    obj.overlays = Object.fromEntries(Object.entries(overlays).map(([k, o]) => [k, !!o.visible]));
+    obj.overlayMeta = Object.fromEntries(Object.entries(overlays).map(([k, o]) => [k, o.userData?.meta || {}]));
+    notify();
+}
+
 /** Get all file entries (read-only snapshot). */
 export function getFiles() {
     return files;
@@ -178,15 +229,19 @@ export function getStyle(objId) {
 export function setStyle(objId, patch) {
     const obj = findObject(objId);
     if (!obj) return;
+    applyStyle(obj, patch);
+}
+
+function applyStyle(obj, patch) {
     Object.assign(obj.style, patch);
     if (patch.color !== undefined && obj.mesh) {
         obj.mesh.traverse(child => {
-            if (child.isMesh && child.material) {
+            if (child.isMesh && child.material && !child.userData.isOverlay && !child.userData.isLodTile) {
                 child.material.color?.set(patch.color);
             }
         });
     }
-    if (patch.displayMode !== undefined && obj.mesh && obj.mesh.isMesh) {
+    if (patch.displayMode !== undefined && obj.mesh && (obj.mesh.isMesh || obj.mesh.isPoints)) {
         if (onDisplayModeChange) onDisplayModeChange(obj.mesh, patch.displayMode);
         // Re-apply color if set
         if (obj.style.color) obj.mesh.material.color?.set(obj.style.color);
@@ -6,7 +6,7 @@ import * as THREE from '../libs/three.module.js';
  */
 
 const SETTINGS_KEY = 'jackshit-viewer-settings';
-const defaults = { speed: 0.1, zoomSpeed: 8, sensitivity: 0.001, renderDist: 2000, vertExag: 1, fileSizeCap: 50, uiScale: 1.15, confirmDelete: true, confirmLeave: true, darkMode: true };
+const defaults = { speed: 0.1, zoomSpeed: 8, sensitivity: 0.001, renderDist: 2000, vertExag: 1, fileSizeCap: 50, pointBudget: 2, demTolerance: 0.1, uiScale: 1.15, confirmDelete: true, confirmLeave: true, glbBakeOrigin: false, darkMode: true };
 
 let settings = {};
 
@@ -55,6 +55,12 @@ export function initSettings(controls, camera, renderer, scene) {
     saveSetting('confirmLeave', confirmLeaveCb.checked);
   });
 
+  const glbBakeOriginCb = document.getElementById('setting-glb-bake-origin');
+  glbBakeOriginCb.checked = settings.glbBakeOrigin;
+  glbBakeOriginCb.addEventListener('change', () => {
+    saveSetting('glbBakeOrigin', glbBakeOriginCb.checked);
+  });
+
   // ── Theme toggle button (in toolbar) ──────────────
   const themeBtn = document.getElementById('toolbar-theme');
   function updateThemeBtn(isDark) {
@@ -79,6 +85,8 @@ export function initSettings(controls, camera, renderer, scene) {
     { key: 'renderDist',  id: 'setting-render-dist',   fmt: v => String(v),     apply: v => { camera.far = v; camera.updateProjectionMatrix(); } },
     { key: 'vertExag',    id: 'setting-vert-exag',     fmt: v => v + '\u00d7',  apply: v => { applyVerticalExaggeration(scene, v); } },
     { key: 'fileSizeCap', id: 'setting-file-size-cap', fmt: v => String(v),     apply: () => {} },
+    { key: 'pointBudget', id: 'setting-point-budget',  fmt: v => v.toFixed(1),  apply: () => {} },
+    { key: 'demTolerance', id: 'setting-dem-tolerance', fmt: v => '±' + v.toFixed(2), apply: () => {} },
     { key: 'uiScale',     id: 'setting-ui-scale',      fmt: v => v.toFixed(2),  apply: v => { document.getElementById('ui-overlay').style.zoom = v; } },
   ];
 
@@ -116,6 +124,11 @@ export function shouldConfirmDelete() {
   return settings.confirmDelete !== false;
 }
 
+/** Check whether GLB exports should carry real-world coordinates instead of scene-local ones. */
+export function shouldBakeGLBOrigin() {
+  return settings.glbBakeOrigin === true;
+}
+
 /** Check whether leave-page confirmation is enabled. */
 export function shouldConfirmLeave() {
   return settings.confirmLeave !== false;
@@ -126,6 +139,16 @@ export function getFileSizeCap() {
   return (settings.fileSizeCap || defaults.fileSizeCap) * 1024 * 1024;
 }
 
+/** Get the point-cloud point budget (number of points; the setting is in millions). */
+export function getPointBudget() {
+  return (settings.pointBudget || defaults.pointBudget) * 1e6;
+}
+
+/** Get the DEM simplification tolerance (largest vertical error, in the DEM's elevation units; 0 = lossless). */
+export function getDemTolerance() {
+  return settings.demTolerance ?? defaults.demTolerance;
+}
+
 /** Get the current vertical exaggeration factor. */
 export function getVertExag() {
   return settings.vertExag || defaults.vertExag;
@@ -134,7 +157,7 @@ export function getVertExag() {
 /** Apply vertical exaggeration to all meshes in the scene. */
 function applyVerticalExaggeration(scene, factor) {
   scene.traverse(obj => {
-    if (obj.isMesh && obj.userData.baseScaleY !== undefined) {
+    if ((obj.isMesh || obj.isPoints) && obj.userData.baseScaleY !== undefined) {
       obj.scale.y = factor * obj.userData.baseScaleY;
     }
   });
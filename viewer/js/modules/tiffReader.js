@@ -0,0 +1,377 @@
+/**
+ * TIFF Reader
+ * Minimal GeoTIFF decoder for the parse worker, so rasters load with no network or third-party library.
+ * Covers the variants survey DEMs and orthophotos come in: strips or tiles, chunky or planar bands,
+ * no compression / LZW / Deflate / PackBits (with horizontal or floating-point predictor),
+ * 8–64-bit integer and Float32/Float64 samples, GeoKeys, model tiepoint/scale/transform and GDAL_NODATA.
+ * Only the first image (IFD) is read; BigTIFF and JPEG-compressed files are rejected with a clear error.
+ *
+ * Returns from openTIFF: { width, height, samplesPerPixel, bitsPerSample, sampleFormat, geoKeys, nodata,
+ *   origin: [easting, northing], resolution: [x, y], bbox: [minE, minN, maxE, maxN], readBands(bands, outW?, outH?) }
+ */
+
+const TAG = {
+  ImageWidth: 256, ImageLength: 257, BitsPerSample: 258, Compression: 259,
+  StripOffsets: 273, SamplesPerPixel: 277, RowsPerStrip: 278, StripByteCounts: 279,
+  PlanarConfiguration: 284, Predictor: 317,
+  TileWidth: 322, TileLength: 323, TileOffsets: 324, TileByteCounts: 325,
+  SampleFormat: 339,
+  ModelPixelScale: 33550, ModelTiepoint: 33922, ModelTransformation: 34264,
+  GeoKeyDirectory: 34735, GeoDoubleParams: 34736, GeoAsciiParams: 34737,
+  GDAL_NODATA: 42113,
+};
+
+// Field type → [byte size, DataView reader]
+const FIELD_TYPES = {
+  1:  [1, (v, o) => v.getUint8(o)],
+  2:  [1, (v, o) => v.getUint8(o)],
+  3:  [2, (v, o, le) => v.getUint16(o, le)],
+  4:  [4, (v, o, le) => v.getUint32(o, le)],
+  5:  [8, (v, o, le) => v.getUint32(o, le) / v.getUint32(o + 4, le)],
+  6:  [1, (v, o) => v.getInt8(o)],
+  7:  [1, (v, o) => v.getUint8(o)],
+  8:  [2, (v, o, le) => v.getInt16(o, le)],
+  9:  [4, (v, o, le) => v.getInt32(o, le)],
+  10: [8, (v, o, le) => v.getInt32(o, le) / v.getInt32(o + 4, le)],
+  11: [4, (v, o, le) => v.getFloat32(o, le)],
+  12: [8, (v, o, le) => v.getFloat64(o, le)],
+};
+
+const GEO_KEY_NAMES = {
+  1024: 'GTModelTypeGeoKey', 1025: 'GTRasterTypeGeoKey', 1026: 'GTCitationGeoKey',
+  2048: 'GeographicTypeGeoKey', 2049: 'GeogCitationGeoKey', 2054: 'GeogAngularUnitsGeoKey',
+  3072: 'ProjectedCSTypeGeoKey', 3073: 'PCSCitationGeoKey', 3076: 'ProjLinearUnitsGeoKey',
+  4096: 'VerticalCSTypeGeoKey', 4099: 'VerticalUnitsGeoKey',
+};
+
+const COMPRESSION = { 1: 'none', 5: 'LZW', 8: 'Deflate', 32946: 'Deflate', 32773: 'PackBits' };
+
+const RASTER_PIXEL_IS_POINT = 2;
+
+/**
+ * Read the header and first IFD of a TIFF. Pixel data is only decoded by readBands.
+ * @param {ArrayBuffer} buffer
+ */
+export function openTIFF(buffer) {
+  const view = new DataView(buffer);
+  const order = view.getUint16(0, false);
+  if (order !== 0x4949 && order !== 0x4D4D) throw new Error('Not a TIFF file');
+  const le = order === 0x4949;
+  const magic = view.getUint16(2, le);
+  if (magic === 43) throw new Error('BigTIFF files are not supported');
+  if (magic !== 42) throw new Error('Not a TIFF file');
+
+  const tags = readIFD(view, view.getUint32(4, le), le);
+  const first = (tag, fallback) => tags.has(tag) ? tags.get(tag)[0] : fallback;
+
+  const width  = first(TAG.ImageWidth);
+  const height = first(TAG.ImageLength);
+  if (!width || !height) throw new Error('TIFF has no image dimensions');
+  const samplesPerPixel = first(TAG.SamplesPerPixel, 1);
+  const bitsPerSample   = first(TAG.BitsPerSample, 1);
+  const sampleFormat    = first(TAG.SampleFormat, 1);
+  const compression     = first(TAG.Compression, 1);
+  if (!COMPRESSION[compression]) throw new Error(`Unsupported TIFF compression (${compression})`);
+  if (![8, 16, 32, 64].includes(bitsPerSample) || (sampleFormat === 3 && bitsPerSample < 32)) {
+    throw new Error(`Unsupported TIFF sample type (${bitsPerSample}-bit, format ${sampleFormat})`);
+  }
+
+  const tiled = tags.has(TAG.TileOffsets);
+  const layout = {
+    view, le, width, height, samplesPerPixel, bitsPerSample, sampleFormat, compression,
+    predictor: first(TAG.Predictor, 1),
+    planar: first(TAG.PlanarConfiguration, 1) === 2,
+    chunkW: tiled ? first(TAG.TileWidth) : width,
+    chunkH: tiled ? first(TAG.TileLength) : Math.min(first(TAG.RowsPerStrip, height), height),
+    offsets: tags.get(tiled ? TAG.TileOffsets : TAG.StripOffsets),
+    byteCounts: tags.get(tiled ? TAG.TileByteCounts : TAG.StripByteCounts),
+  };
+  if (!layout.offsets) throw new Error('TIFF has no image data');
+
+  const geoKeys = readGeoKeys(tags);
+  const nodataText = tags.get(TAG.GDAL_NODATA);
+  let nodata = nodataText ? parseFloat(nodataText) : null;
+  if (nodata !== null && isNaN(nodata)) nodata = null;
+  // Float32 rasters store the no-data value at float precision
+  if (nodata !== null && sampleFormat === 3 && bitsPerSample === 32) nodata = Math.fround(nodata);
+
+  const { origin, resolution } = readGeoTransform(tags, geoKeys);
+  const x1 = origin[0] + width * resolution[0], y1 = origin[1] + height * resolution[1];
+
+  return {
+    width, height, samplesPerPixel, bitsPerSample, sampleFormat, geoKeys, nodata,
+    origin, resolution,
+    bbox: [Math.min(origin[0], x1), Math.min(origin[1], y1), Math.max(origin[0], x1), Math.max(origin[1], y1)],
+    /**
+     * Decode bands into one typed array each, row-major from the top-left pixel.
+     * With outW/outH smaller than the image, pixels are nearest-sampled (used for texture-sized imagery).
+     * @param {number[]} bands - sample indices, e.g. [0] or [0, 1, 2]
+     */
+    readBands: (bands, outW = width, outH = height) => readBands(layout, bands, outW, outH),
+  };
+}
+
+/** Tag id → array of values (ASCII tags → string). Values behind offsets are resolved eagerly. */
+function readIFD(view, offset, le) {
+  const tags = new Map();
+  const count = view.getUint16(offset, le);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, le);
+    const type = view.getUint16(entry + 2, le);
+    const n = view.getUint32(entry + 4, le);
+    const field = FIELD_TYPES[type];
+    if (!field) continue;
+    const [size, read] = field;
+    const at = size * n <= 4 ? entry + 8 : view.getUint32(entry + 8, le);
+    if (type === 2) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + at, n);
+      tags.set(tag, new TextDecoder().decode(bytes).replace(/\0+$/, ''));
+    } else {
+      const values = new Array(n);
+      for (let j = 0; j < n; j++) values[j] = read(view, at + j * size, le);
+      tags.set(tag, values);
+    }
+  }
+  return tags;
+}
+
+/** GeoKeyDirectory → { ProjectedCSTypeGeoKey: 2913, ... } (unknown keys by number). */
+function readGeoKeys(tags) {
+  const dir = tags.get(TAG.GeoKeyDirectory);
+  if (!dir) return null;
+  const doubles = tags.get(TAG.GeoDoubleParams) || [];
+  const ascii = tags.get(TAG.GeoAsciiParams) || '';
+  const keys = {};
+  for (let i = 0; i < dir[3]; i++) {
+    const [id, location, count, value] = dir.slice(4 + i * 4, 8 + i * 4);
+    const name = GEO_KEY_NAMES[id] || id;
+    if (location === 0) keys[name] = value;
+    else if (location === TAG.GeoDoubleParams) keys[name] = count === 1 ? doubles[value] : doubles.slice(value, value + count);
+    else if (location === TAG.GeoAsciiParams) keys[name] = ascii.slice(value, value + count).replace(/\|$/, '');
+  }
+  return keys;
+}
+
+/** Top-left pixel corner and signed pixel size from the tiepoint/scale pair or a (north-up) transform. */
+function readGeoTransform(tags, geoKeys) {
+  let origin, resolution;
+  const matrix = tags.get(TAG.ModelTransformation);
+  const tie = tags.get(TAG.ModelTiepoint);
+  const scale = tags.get(TAG.ModelPixelScale);
+  if (matrix) {
+    origin = [matrix[3], matrix[7]];
+    resolution = [matrix[0], matrix[5]];
+  } else if (tie && scale) {
+    resolution = [scale[0], -scale[1]];
+    origin = [tie[3] - tie[0] * resolution[0], tie[4] - tie[1] * resolution[1]];
+  } else {
+    return { origin: [0, 0], resolution: [1, -1] };
+  }
+  // PixelIsPoint georeferences pixel centres; shift to the corner like GDAL does
+  if (geoKeys?.GTRasterTypeGeoKey === RASTER_PIXEL_IS_POINT) {
+    origin = [origin[0] - resolution[0] / 2, origin[1] - resolution[1] / 2];
+  }
+  return { origin, resolution };
+}
+
+function sampleArrayType(bits, format) {
+  if (format === 3) return bits === 64 ? Float64Array : Float32Array;
+  if (format === 2) return { 8: Int8Array, 16: Int16Array, 32: Int32Array, 64: Float64Array }[bits];
+  return { 8: Uint8Array, 16: Uint16Array, 32: Uint32Array, 64: Float64Array }[bits];
+}
+
+function sampleReader(bits, format) {
+  if (format === 3) return bits === 64 ? (v, o, le) => v.getFloat64(o, le) : (v, o, le) => v.getFloat32(o, le);
+  if (format === 2) {
+    return { 8: (v, o) => v.getInt8(o), 16: (v, o, le) => v.getInt16(o, le), 32: (v, o, le) => v.getInt32(o, le),
+             64: (v, o, le) => Number(v.getBigInt64(o, le)) }[bits];
+  }
+  return { 8: (v, o) => v.getUint8(o), 16: (v, o, le) => v.getUint16(o, le), 32: (v, o, le) => v.getUint32(o, le),
+           64: (v, o, le) => Number(v.getBigUint64(o, le)) }[bits];
+}
+
+/** Nearest source index for each of `out` samples across `size` pixels. */
+function sampleIndices(size, out) {
+  const idx = new Int32Array(out);
+  for (let i = 0; i < out; i++) idx[i] = Math.min(size - 1, Math.floor((i + 0.5) * size / out));
+  return idx;
+}
+
+async function readBands(layout, bands, outW, outH) {
+  const { le, width, height, samplesPerPixel: spp, bitsPerSample, sampleFormat, planar, chunkW, chunkH } = layout;
+  const bytes = bitsPerSample / 8;
+  const ArrayType = sampleArrayType(bitsPerSample, sampleFormat);
+  const read = sampleReader(bitsPerSample, sampleFormat);
+  const out = bands.map(() => new ArrayType(outW * outH));
+  const srcX = sampleIndices(width, outW), srcY = sampleIndices(height, outH);
+
+  const across = Math.ceil(width / chunkW), down = Math.ceil(height / chunkH);
+  const pixelStride = planar ? 1 : spp;
+  // Planar files keep each band in its own run of chunks; chunky ones interleave them in one
+  const passes = planar
+    ? bands.map((band, i) => ({ plane: band, targets: [out[i]], samples: [0] }))
+    : [{ plane: 0, targets: out, samples: bands }];
+
+  for (let cy = 0; cy < down; cy++) {
+    const y0 = cy * chunkH, y1 = Math.min(height, y0 + chunkH);
+    // Output rows landing in this chunk row (srcY is ascending)
+    let oy0 = 0;
+    while (oy0 < outH && srcY[oy0] < y0) oy0++;
+    let oy1 = oy0;
+    while (oy1 < outH && srcY[oy1] < y1) oy1++;
+    if (oy0 === oy1) continue;
+
+    for (let cx = 0; cx < across; cx++) {
+      const x0 = cx * chunkW, x1 = Math.min(width, x0 + chunkW);
+      let ox0 = 0;
+      while (ox0 < outW && srcX[ox0] < x0) ox0++;
+      let ox1 = ox0;
+      while (ox1 < outW && srcX[ox1] < x1) ox1++;
+      if (ox0 === ox1) continue;
+
+      for (const { plane, targets, samples } of passes) {
+        const data = await decodeChunk(layout, plane * across * down + cy * across + cx, planar ? 1 : spp);
+        const dv = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        for (let oy = oy0; oy < oy1; oy++) {
+          const rowBase = (srcY[oy] - y0) * chunkW;
+          for (let ox = ox0; ox < ox1; ox++) {
+            const pixel = (rowBase + srcX[ox] - x0) * pixelStride;
+            for (let t = 0; t < targets.length; t++) {
+              const at = (pixel + samples[t]) * bytes;
+              if (at + bytes <= dv.byteLength) targets[t][oy * outW + ox] = read(dv, at, le);
+            }
+          }
+        }
+      }
+    }
+  }
+  return out;
+}
+
+/** Decompress one strip/tile and undo its predictor. Returns bytes in the file's byte order. */
+async function decodeChunk(layout, index, samples) {
+  const { view, compression, predictor, chunkW, bitsPerSample, le } = layout;
+  const offset = layout.offsets[index], count = layout.byteCounts[index];
+  const raw = new Uint8Array(view.buffer, view.byteOffset + offset, count);
+  const expected = chunkW * layout.chunkH * samples * bitsPerSample / 8;
+
+  let data;
+  switch (COMPRESSION[compression]) {
+    case 'none':     data = predictor > 1 ? raw.slice() : raw; break;
+    case 'LZW':      data = decodeLZW(raw, expected); break;
+    case 'PackBits': data = decodePackBits(raw, expected); break;
+    case 'Deflate': {
+      const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate'));
+      data = new Uint8Array(await new Response(stream).arrayBuffer());
+      break;
+    }
+  }
+
+  if (predictor === 2) undoHorizontalPredictor(data, chunkW, samples, bitsPerSample, le);
+  else if (predictor === 3) data = undoFloatPredictor(data, chunkW, samples, bitsPerSample / 8, le);
+  return data;
+}
+
+/** TIFF LZW: MSB-first codes from 9 to 12 bits, code width bumped one code early. */
+function decodeLZW(src, expected) {
+  const CLEAR = 256, EOI = 257;
+  const prefix = new Int16Array(4096), suffix = new Uint8Array(4096);
+  const length = new Uint16Array(4096), head = new Uint8Array(4096);
+  for (let i = 0; i < 256; i++) { prefix[i] = -1; suffix[i] = i; length[i] = 1; head[i] = i; }
+
+  let out = new Uint8Array(expected);
+  let o = 0, bitPos = 0, codeLen = 9, next = 258, prev = -1;
+  const totalBits = src.length * 8;
+
+  const emit = (code) => {
+    const n = length[code];
+    if (o + n > out.length) {
+      const grown = new Uint8Array(Math.max(out.length * 2, o + n));
+      grown.set(out);
+      out = grown;
+    }
+    for (let c = code, p = o + n - 1; c !== -1; c = prefix[c], p--) out[p] = suffix[c];
+    o += n;
+  };
+  const add = (base, byte) => {
+    if (next >= 4096) return;
+    prefix[next] = base; suffix[next] = byte; length[next] = length[base] + 1; head[next] = head[base];
+    next++;
+    if (next + 1 >= (1 << codeLen) && codeLen < 12) codeLen++;
+  };
+
+  while (bitPos + codeLen <= totalBits) {
+    const at = bitPos >> 3;
+    const word = (src[at] << 16) | ((src[at + 1] ?? 0) << 8) | (src[at + 2] ?? 0);
+    const code = (word >> (24 - (bitPos & 7) - codeLen)) & ((1 << codeLen) - 1);
+    bitPos += codeLen;
+
+    if (code === EOI) break;
+    if (code === CLEAR) { next = 258; codeLen = 9; prev = -1; continue; }
+    if (prev === -1) {
+      if (code > 255) throw new Error('Corrupt LZW data in TIFF');
+      emit(code);
+    } else if (code < next) {
+      emit(code);
+      add(prev, head[code]);
+    } else if (code === next) {
+      add(prev, head[prev]);
+      emit(code);
+    } else {
+      throw new Error('Corrupt LZW data in TIFF');
+    }
+    prev = code;
+  }
+  return out.subarray(0, o);
+}
+
+function decodePackBits(src, expected) {
+  const out = new Uint8Array(expected);
+  let i = 0, o = 0;
+  while (i < src.length && o < out.length) {
+    const n = (src[i++] << 24) >> 24;
+    if (n >= 0) {
+      for (let k = 0; k <= n && o < out.length; k++) out[o++] = src[i++];
+    } else if (n !== -128) {
+      const byte = src[i++];
+      for (let k = 0; k < 1 - n && o < out.length; k++) out[o++] = byte;
+    }
+  }
+  return out.subarray(0, o);
+}
+
+/** Predictor 2: each sample stored as the difference from the one to its left in the row. */
+function undoHorizontalPredictor(data, chunkW, samples, bits, le) {
+  const bytes = bits / 8;
+  const rowBytes = chunkW * samples * bytes;
+  const dv = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const get = { 1: (o) => dv.getUint8(o), 2: (o) => dv.getUint16(o, le), 4: (o) => dv.getUint32(o, le) }[bytes];
+  const set = { 1: (o, v) => dv.setUint8(o, v), 2: (o, v) => dv.setUint16(o, v, le), 4: (o, v) => dv.setUint32(o, v, le) }[bytes];
+  if (!get) return;
+  for (let row = 0; row + rowBytes <= data.length; row += rowBytes) {
+    for (let i = samples; i < chunkW * samples; i++) {
+      const at = row + i * bytes;
+      set(at, get(at) + get(at - samples * bytes));
+    }
+  }
+}
+
+/**
+ * Predictor 3 (floating point): each row holds byte planes, most significant first, then
+ * byte-wise differences across the whole row. Rebuilds the samples in the file's byte order.
+ */
+function undoFloatPredictor(data, chunkW, samples, bytes, le) {
+  const count = chunkW * samples;
+  const rowBytes = count * bytes;
+  const out = new Uint8Array(data.length);
+  for (let row = 0; row + rowBytes <= data.length; row += rowBytes) {
+    for (let i = row + samples; i < row + rowBytes; i++) data[i] = (data[i] + data[i - samples]) & 0xFF;
+    for (let i = 0; i < count; i++) {
+      for (let p = 0; p < bytes; p++) {
+        out[row + i * bytes + (le ? bytes - 1 - p : p)] = data[row + p * count + i];
+      }
+    }
+  }
+  return out;
+}
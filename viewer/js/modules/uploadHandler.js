@@ -5,6 +5,7 @@
  */
 
 import { getFileSizeCap } from './settingsManager.js';
+import { showPointFileDialog } from './pointFileDialog.js';
 
 export function initUpload() {
     const panel = document.getElementById('data-panel-body');
@@ -22,9 +23,7 @@ export function initUpload() {
 
     // File(s) selected via picker
     input.addEventListener('change', () => {
-        for (const file of input.files) {
-            handleFile(file, panel);
-        }
+        handleFiles(input.files, panel);
         input.value = '';
     });
 
@@ -44,25 +43,84 @@ export function initUpload() {
     panel.addEventListener('drop', (e) => {
         e.preventDefault();
         panel.classList.remove('drag-over');
-        for (const file of e.dataTransfer.files) {
-            handleFile(file, panel);
-        }
+        handleFiles(e.dataTransfer.files, panel);
     });
 }
 
 const SUPPORTED_EXTENSIONS = {
     '.xml':  { type: 'landxml',  readAs: 'text' },
-    '.tif':  { type: 'geotiff',  readAs: 'arraybuffer' },
-    '.tiff': { type: 'geotiff',  readAs: 'arraybuffer' },
-    '.asc':  { type: 'asc',      readAs: 'text' },
+    '.tif':  { type: 'geotiff',  readAs: 'arraybuffer', companions: { '.aux.xml': false } },
+    '.tiff': { type: 'geotiff',  readAs: 'arraybuffer', companions: { '.aux.xml': false } },
+    '.asc':  { type: 'asc',      readAs: 'text', companions: { '.prj': false, '.aux.xml': false } },
+    '.obj':  { type: 'obj',      readAs: 'text' },
+    '.ply':  { type: 'ply',      readAs: 'arraybuffer' },
+    '.stl':  { type: 'stl',      readAs: 'arraybuffer' },
+    '.las':  { type: 'las',      readAs: 'arraybuffer' },
+    '.dxf':  { type: 'dxf',      readAs: 'text' },
+    '.geojson': { type: 'geojson', readAs: 'text' },
+    '.zip':  { type: 'shapefile', readAs: 'arraybuffer' },
+    '.xyz':  { type: 'xyz',      readAs: 'text' },
+    '.flt':  { type: 'flt',      readAs: 'arraybuffer', companions: { '.hdr': true, '.prj': false, '.aux.xml': false } },
+    '.png':  { type: 'image',    readAs: 'arraybuffer', companions: { '.pgw': false, '.pngw': false, '.wld': false } },
+    '.jpg':  { type: 'image',    readAs: 'arraybuffer', companions: { '.jgw': false, '.jpgw': false, '.wld': false } },
+    '.jpeg': { type: 'image',    readAs: 'arraybuffer', companions: { '.jgw': false, '.jpgw': false, '.wld': false } },
+    '.csv':  { type: 'points',   readAs: 'text', mapColumns: true },
+    '.txt':  { type: 'points',   readAs: 'text', mapColumns: true },
 };
 
-function handleFile(file, target) {
-    const ext = '.' + file.name.split('.').pop().toLowerCase();
+const extOf  = (name) => '.' + name.split('.').pop().toLowerCase();
+const baseOf = (name) => name.replace(/\.[^.]+$/, '').toLowerCase();
+
+/** The companion extension `other` provides for `file` — dem.prj or dem.asc.aux.xml for dem.asc — or null. */
+function companionExt(file, other, wanted) {
+    const name = other.name.toLowerCase();
+    return Object.keys(wanted).find(ext =>
+        name === baseOf(file.name) + ext || name === file.name.toLowerCase() + ext) || null;
+}
+
+/**
+ * Load a batch of picked or dropped files. Sidecar files listed in a format's `companions`
+ * (ext → required?) are matched to their primary file by basename and read along with it.
+ */
+function handleFiles(fileList, target) {
+    const files = [...fileList];
+    const companionsOf = new Map();
+    const claimed = new Set();
+
+    for (const file of files) {
+        const wanted = SUPPORTED_EXTENSIONS[extOf(file.name)]?.companions;
+        if (!wanted) continue;
+        const found = {};
+        for (const other of files) {
+            const ext = other !== file && companionExt(file, other, wanted);
+            if (ext) {
+                found[ext] = other;
+                claimed.add(other);
+            }
+        }
+        const missing = Object.keys(wanted).filter(ext => wanted[ext] && !found[ext]);
+        if (missing.length > 0) {
+            alert(`${file.name} needs its ${missing.join(', ')} file.\nSelect or drop them together.`);
+            claimed.add(file);
+            continue;
+        }
+        companionsOf.set(file, found);
+    }
+
+    for (const file of files) {
+        if (claimed.has(file)) continue;
+        // A GDAL sidecar without its raster isn't LandXML, whatever its extension says
+        if (/\.aux\.xml$/i.test(file.name)) continue;
+        handleFile(file, target, companionsOf.get(file));
+    }
+}
+
+function handleFile(file, target, companions = null) {
+    const ext = extOf(file.name);
     const config = SUPPORTED_EXTENSIONS[ext];
 
     if (!config) {
-        alert(`Unsupported file type: ${ext}\nSupported: .xml, .tif, .tiff, .asc`);
+        alert(`Unsupported file type: ${ext}\nSupported: ${Object.keys(SUPPORTED_EXTENSIONS).join(', ')}`);
         return;
     }
 
@@ -81,10 +139,21 @@ function handleFile(file, target) {
     }
 
     const reader = new FileReader();
-    reader.onload = () => {
+    reader.onload = async () => {
+        // Point files need the user to confirm delimiter, columns and units first
+        let options;
+        if (config.mapColumns) {
+            options = await showPointFileDialog(file.name, reader.result);
+            if (!options) return;
+        }
+        // Sidecar files (e.g. .hdr for .flt, .prj for .asc) are small text files passed to the reader as-is
+        if (companions && Object.keys(companions).length > 0) {
+            const texts = await Promise.all(Object.values(companions).map(f => f.text()));
+            options = { ...options, companions: Object.fromEntries(Object.keys(companions).map((ext, i) => [ext, texts[i]])) };
+        }
         target.dispatchEvent(new CustomEvent('file-uploaded', {
             bubbles: true,
-            detail: { name: file.name, content: reader.result, fileType: config.type }
+            detail: { name: file.name, content: reader.result, fileType: config.type, ...(options ? { options } : {}) }
         }));
     };
 
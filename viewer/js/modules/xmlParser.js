@@ -1,9 +1,11 @@
 /**
- * LandXML Parser (main thread)
- * Parses LandXML text into surface data with centroid-relative Float32Array vertex buffers.
- * Runs on the main thread using DOMParser (guaranteed available).
+ * LandXML Parser
+ * Interprets a parsed LandXML document into surface data with centroid-relative Float32Array vertex buffers.
+ * The document is the lightweight element tree built by the streaming parser in parseWorker.js,
+ * which pre-reads surface points/faces into typed arrays (`tin`).
  *
- * Returns: { surfaces: [ { name, type, vertexBuffer, centroid, rawBBox, meta } ], fileMeta, crsAttrs }
+ * Returns: { surfaces: [ { name, type, vertexBuffer, indexBuffer?, centroid, rawBBox, meta } ], fileMeta, crsAttrs, styles }
+ * TIN surfaces are indexed: vertexBuffer holds each used point once and indexBuffer (Uint32Array) the faces.
  */
 
 function computeBBox(rawPoints) {
@@ -46,9 +48,65 @@ function tessellateArc(startN, startE, endN, endE, centerN, centerE, rot, nSegs
   return pts;
 }
 
+/** Parse a LandXML radius attribute; missing, zero or "INF" means a tangent (infinite radius). */
+function parseRadius(val) {
+  const r = parseFloat(val);
+  return (!val || /^inf/i.test(val.trim()) || isNaN(r) || r === 0) ? Infinity : Math.abs(r);
+}
+
+/**
+ * Tessellate a clothoid spiral into 2D points [[N, E], ...].
+ * Curvature varies linearly from 1/radiusStart to 1/radiusEnd over the spiral length;
+ * heading is integrated in a local frame (azimuth 0, N/E like the rest of this file) and the
+ * result is fitted onto the actual Start/End with a similarity transform, so the tessellated
+ * spiral always joins its neighbours exactly. Turning direction comes from the PI when present
+ * (chord vs. start tangent), otherwise from rot ('cw' = turning right on the map).
+ * Non-clothoid spiType values are approximated with the same curve.
+ */
+function tessellateSpiral(spiralNode, s, e, nSegs = 32) {
+  const chord = Math.hypot(e[0] - s[0], e[1] - s[1]);
+  if (chord < 1e-9) return [s, e];
+  const L  = parseFloat(spiralNode.getAttribute('length')) || chord;
+  const k0 = 1 / parseRadius(spiralNode.getAttribute('radiusStart'));
+  const k1 = 1 / parseRadius(spiralNode.getAttribute('radiusEnd'));
+
+  let sign = (spiralNode.getAttribute('rot') || 'ccw') === 'cw' ? 1 : -1;
+  const pi = parsePoint2D(spiralNode.querySelector('PI')?.textContent);
+  if (pi && Math.hypot(pi[0] - s[0], pi[1] - s[1]) > 1e-9) {
+    let d = Math.atan2(e[1] - s[1], e[0] - s[0]) - Math.atan2(pi[1] - s[1], pi[0] - s[0]);
+    while (d > Math.PI)   d -= 2 * Math.PI;
+    while (d <= -Math.PI) d += 2 * Math.PI;
+    if (Math.abs(d) > 1e-12) sign = d > 0 ? 1 : -1;
+  }
+
+  // Integrate heading θ(t) = sign·(k0·t + (k1 − k0)·t² / 2L) with midpoint sub-steps
+  const heading = (t) => sign * (k0 * t + (k1 - k0) * t * t / (2 * L));
+  const subSteps = 16;
+  const h = L / (nSegs * subSteps);
+  const local = [[0, 0]];
+  let n = 0, en = 0;
+  for (let i = 0; i < nSegs * subSteps; i++) {
+    const a = heading((i + 0.5) * h);
+    n  += h * Math.cos(a);
+    en += h * Math.sin(a);
+    if ((i + 1) % subSteps === 0) local.push([n, en]);
+  }
+
+  // Fit local start/end onto the real Start/End
+  const [ln, le] = local[local.length - 1];
+  const lLen = Math.hypot(ln, le);
+  if (lLen < 1e-9) return [s, e];
+  const phi   = Math.atan2(e[1] - s[1], e[0] - s[0]) - Math.atan2(le, ln);
+  const scale = chord / lLen;
+  const cosP  = Math.cos(phi) * scale, sinP = Math.sin(phi) * scale;
+  const pts = local.map(([pn, pe]) => [s[0] + pn * cosP - pe * sinP, s[1] + pn * sinP + pe * cosP]);
+  pts[pts.length - 1] = [e[0], e[1]];
+  return pts;
+}
+
 /**
  * Walk a CoordGeom element and return a 2D (or 3D if coords carry Z) polyline [[N,E,(Z)], ...].
- * Handles Line, Curve (arc tessellation), and Spiral (straight approximation).
+ * Handles Line, Curve (arc tessellation), and Spiral (clothoid tessellation).
  */
 function tessellateCoordGeom(cgNode) {
   const pts = [];
@@ -80,45 +138,91 @@ function tessellateCoordGeom(cgNode) {
     } else if (tag === 'Spiral') {
       const s = parsePoint2D(child.querySelector('Start')?.textContent);
       const e = parsePoint2D(child.querySelector('End')?.textContent);
-      if (s && e) {
-        if (!prev || Math.hypot(s[0] - prev[0], s[1] - prev[1]) > 1e-6) pts.push(s);
-        pts.push(e);
-        prev = e;
-      }
+      if (!s || !e) continue;
+      const spiPts = tessellateSpiral(child, s, e);
+      const si     = (prev && Math.hypot(spiPts[0][0] - prev[0], spiPts[0][1] - prev[1]) < 1e-6) ? 1 : 0;
+      for (let i = si; i < spiPts.length; i++) pts.push(spiPts[i]);
+      prev = pts[pts.length - 1];
     }
   }
   return pts;
 }
 
 /**
- * Build a (station → elevation) interpolation function from a ProfAlign element.
- * Supports both text-content PVI ("station elev") and attribute PVI (sta/station + elev).
- * Returns null if no valid PVIs found.
+ * Build a (station → elevation) function from a ProfAlign element.
+ * Vertices are PVI, ParaCurve, UnsymParaCurve and CircCurve children (text "station elev",
+ * or sta/station + elev attributes for PVI). Tangents run straight between vertices; a
+ * vertex with a curve length gets a true parabolic vertical curve — symmetric for ParaCurve,
+ * two compound parabolas meeting under the PVI for UnsymParaCurve. CircCurve is evaluated
+ * as a symmetric parabola of the same length (the difference is negligible at road radii).
+ * Returns { elevAt, curves } or null if no valid vertices were found; curves carries the
+ * per-curve grades (in %) and K values for metadata.
  */
 function buildProfileFn(profAlignNode) {
-  const pvis = [];
-  profAlignNode.querySelectorAll('PVI').forEach(pvi => {
-    let sta  = parseFloat(pvi.getAttribute('sta') || pvi.getAttribute('station') || '');
-    let elev = parseFloat(pvi.getAttribute('elev') || '');
+  const verts = [];
+  for (const node of profAlignNode.children) {
+    const tag = node.localName;
+    if (tag !== 'PVI' && tag !== 'ParaCurve' && tag !== 'UnsymParaCurve' && tag !== 'CircCurve') continue;
+    let sta  = parseFloat(node.getAttribute('sta') || node.getAttribute('station') || '');
+    let elev = parseFloat(node.getAttribute('elev') || '');
     if (isNaN(sta) || isNaN(elev)) {
-      const parts = pvi.textContent.trim().split(/\s+/).map(Number);
+      const parts = node.textContent.trim().split(/\s+/).map(Number);
       if (parts.length >= 2 && !isNaN(parts[0]) && !isNaN(parts[1])) [sta, elev] = parts;
     }
-    if (!isNaN(sta) && !isNaN(elev)) pvis.push({ sta, elev });
+    if (isNaN(sta) || isNaN(elev)) continue;
+    let lIn = 0, lOut = 0;
+    if (tag === 'UnsymParaCurve') {
+      lIn  = parseFloat(node.getAttribute('lengthIn'))  || 0;
+      lOut = parseFloat(node.getAttribute('lengthOut')) || 0;
+    } else if (tag !== 'PVI') {
+      lIn = lOut = (parseFloat(node.getAttribute('length')) || 0) / 2;
+    }
+    verts.push({ tag, sta, elev, lIn, lOut });
+  }
+  if (verts.length === 0) return null;
+  verts.sort((a, b) => a.sta - b.sta);
+
+  // Tangent grades either side of each vertex; curves need a tangent on both sides
+  const grade = (i) => (verts[i + 1].elev - verts[i].elev) / (verts[i + 1].sta - verts[i].sta || 1);
+  const curves = [];
+  verts.forEach((v, i) => {
+    if (i === 0 || i === verts.length - 1 || v.lIn + v.lOut <= 0) return;
+    const gIn = grade(i - 1), gOut = grade(i);
+    const L   = v.lIn + v.lOut;
+    const A   = gOut - gIn;
+    // Vertical offset of the curve below/above the PVI (general unsymmetric form; = A·L/8 when symmetric)
+    const e   = v.lIn * v.lOut * A / (2 * L);
+    const curve = {
+      type: v.tag, sta: v.sta, elev: v.elev, length: L, lengthIn: v.lIn, lengthOut: v.lOut,
+      gIn: gIn * 100, gOut: gOut * 100, K: Math.abs(A) > 1e-12 ? L / Math.abs(A * 100) : Infinity,
+      bvc: v.sta - v.lIn, evc: v.sta + v.lOut,
+    };
+    curve.at = (x) => {
+      if (x <= v.sta) {
+        const t = x - curve.bvc;
+        return v.elev - gIn * v.lIn + gIn * t + (v.lIn > 0 ? e / (v.lIn * v.lIn) : 0) * t * t;
+      }
+      const t = curve.evc - x;
+      return v.elev + gOut * v.lOut - gOut * t + (v.lOut > 0 ? e / (v.lOut * v.lOut) : 0) * t * t;
+    };
+    curves.push(curve);
   });
-  if (pvis.length === 0) return null;
-  pvis.sort((a, b) => a.sta - b.sta);
-  return (station) => {
-    if (station <= pvis[0].sta) return pvis[0].elev;
-    if (station >= pvis[pvis.length - 1].sta) return pvis[pvis.length - 1].elev;
-    for (let i = 0; i < pvis.length - 1; i++) {
-      if (station >= pvis[i].sta && station <= pvis[i + 1].sta) {
-        const t = (station - pvis[i].sta) / (pvis[i + 1].sta - pvis[i].sta);
-        return pvis[i].elev + t * (pvis[i + 1].elev - pvis[i].elev);
+
+  const elevAt = (station) => {
+    if (station <= verts[0].sta) return verts[0].elev;
+    if (station >= verts[verts.length - 1].sta) return verts[verts.length - 1].elev;
+    for (const c of curves) {
+      if (station >= c.bvc && station <= c.evc) return c.at(station);
+    }
+    for (let i = 0; i < verts.length - 1; i++) {
+      if (station >= verts[i].sta && station <= verts[i + 1].sta) {
+        const t = (station - verts[i].sta) / (verts[i + 1].sta - verts[i].sta);
+        return verts[i].elev + t * (verts[i + 1].elev - verts[i].elev);
       }
     }
-    return pvis[pvis.length - 1].elev;
+    return verts[verts.length - 1].elev;
   };
+  return { elevAt, curves };
 }
 
 /**
@@ -136,6 +240,147 @@ function polylineToLineBuffer(pts, centroid) {
   return new Float32Array(verts);
 }
 
+/**
+ * Build an (N, E) → elevation lookup over the TIN surfaces parsed so far.
+ * Triangles are bucketed into a coarse grid so each lookup only tests nearby faces.
+ * Returns null if there are no surfaces; the lookup itself returns null off-surface.
+ */
+function buildSurfaceSampler(surfaces) {
+  const tris = [];
+  for (const s of surfaces) {
+    if (s.type !== 'Surface' || !s.vertexBuffer) continue;
+    const vb = s.vertexBuffer, ib = s.indexBuffer, c = s.centroid;
+    const count = ib ? ib.length / 3 : Math.floor(vb.length / 9);
+    const at = (t, k) => (ib ? ib[t * 3 + k] : t * 3 + k) * 3;
+    for (let t = 0; t < count; t++) {
+      const a = at(t, 0), b = at(t, 1), d = at(t, 2);
+      tris.push([
+        vb[a] + c.x, vb[a + 1] + c.y, vb[a + 2] + c.z,
+        vb[b] + c.x, vb[b + 1] + c.y, vb[b + 2] + c.z,
+        vb[d] + c.x, vb[d + 1] + c.y, vb[d + 2] + c.z,
+      ]);
+    }
+  }
+  if (tris.length === 0) return null;
+
+  let minN = Infinity, minE = Infinity, maxN = -Infinity, maxE = -Infinity;
+  for (const t of tris) {
+    for (let k = 0; k < 9; k += 3) {
+      if (t[k] < minN) minN = t[k]; if (t[k] > maxN) maxN = t[k];
+      if (t[k + 1] < minE) minE = t[k + 1]; if (t[k + 1] > maxE) maxE = t[k + 1];
+    }
+  }
+  const dim   = Math.max(1, Math.min(256, Math.ceil(Math.sqrt(tris.length / 4))));
+  const cellN = (maxN - minN) / dim || 1;
+  const cellE = (maxE - minE) / dim || 1;
+  const cellOf = (v, min, size) => Math.min(dim - 1, Math.max(0, Math.floor((v - min) / size)));
+  const buckets = new Map();
+  tris.forEach((t, ti) => {
+    const n0 = cellOf(Math.min(t[0], t[3], t[6]), minN, cellN), n1 = cellOf(Math.max(t[0], t[3], t[6]), minN, cellN);
+    const e0 = cellOf(Math.min(t[1], t[4], t[7]), minE, cellE), e1 = cellOf(Math.max(t[1], t[4], t[7]), minE, cellE);
+    for (let a = n0; a <= n1; a++) {
+      for (let b = e0; b <= e1; b++) {
+        const key = a * dim + b;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(ti);
+      }
+    }
+  });
+
+  return (n, e) => {
+    if (n < minN || n > maxN || e < minE || e > maxE) return null;
+    const list = buckets.get(cellOf(n, minN, cellN) * dim + cellOf(e, minE, cellE));
+    if (!list) return null;
+    for (const ti of list) {
+      const t = tris[ti];
+      const d = (t[4] - t[7]) * (t[0] - t[6]) + (t[6] - t[3]) * (t[1] - t[7]);
+      if (Math.abs(d) < 1e-12) continue;
+      const w0 = ((t[4] - t[7]) * (n - t[6]) + (t[6] - t[3]) * (e - t[7])) / d;
+      const w1 = ((t[7] - t[1]) * (n - t[6]) + (t[0] - t[6]) * (e - t[7])) / d;
+      const w2 = 1 - w0 - w1;
+      if (w0 >= -1e-9 && w1 >= -1e-9 && w2 >= -1e-9) return w0 * t[2] + w1 * t[5] + w2 * t[8];
+    }
+    return null;
+  };
+}
+
+/**
+ * Subdivide a 2D polyline so no segment is longer than maxStep (used before draping,
+ * so long parcel edges follow the terrain instead of cutting through it).
+ */
+function densifyPolyline(pts, maxStep) {
+  if (pts.length < 2 || !(maxStep > 0)) return pts;
+  const out = [pts[0]];
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1], b = pts[i];
+    const n = Math.min(256, Math.ceil(Math.hypot(b[0] - a[0], b[1] - a[1]) / maxStep));
+    for (let k = 1; k < n; k++) {
+      const t = k / n;
+      out.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+    }
+    out.push(b);
+  }
+  return out;
+}
+
+/** Shoelace area and perimeter of a closed 2D ring [[N, E], ...] (closing edge implied). */
+function polygonAreaPerimeter(ring) {
+  let area2 = 0, perim = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i], b = ring[(i + 1) % ring.length];
+    area2 += a[0] * b[1] - b[0] * a[1];
+    perim += Math.hypot(b[0] - a[0], b[1] - a[1]);
+  }
+  return { area: Math.abs(area2) / 2, perimeter: perim };
+}
+
+/** Read a PntList3D / PntList2D child ("N E [Z] N E [Z] ...") into [[N, E, (Z)], ...]. */
+function parsePntList(node) {
+  const list3D = node.querySelector('PntList3D');
+  const list   = list3D || node.querySelector('PntList2D');
+  if (!list) return [];
+  const nums   = list.textContent.trim().split(/\s+/).map(Number);
+  const stride = list3D ? 3 : 2;
+  const pts    = [];
+  for (let i = 0; i + stride - 1 < nums.length; i += stride) {
+    const p = nums.slice(i, i + stride);
+    if (!p.some(isNaN)) pts.push(p);
+  }
+  return pts;
+}
+
+/**
+ * Prepare a ring [[N, E, ...], ...] for repeated even-odd ray-cast tests of (n, e).
+ * Points outside the ring's bounding box are rejected at once; the rest only test the
+ * edges bucketed into their band of easting, so large boundaries stay cheap per face.
+ */
+function ringTester(ring) {
+  let minN = Infinity, maxN = -Infinity, minE = Infinity, maxE = -Infinity;
+  for (const [n, e] of ring) {
+    if (n < minN) minN = n; if (n > maxN) maxN = n;
+    if (e < minE) minE = e; if (e > maxE) maxE = e;
+  }
+  const bands = Math.max(1, Math.min(1024, Math.ceil(ring.length / 4)));
+  const size  = (maxE - minE) / bands || 1;
+  const bandOf = (e) => Math.min(bands - 1, Math.max(0, Math.floor((e - minE) / size)));
+  const buckets = Array.from({ length: bands }, () => []);
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const e0 = Math.min(ring[i][1], ring[j][1]), e1 = Math.max(ring[i][1], ring[j][1]);
+    for (let b = bandOf(e0); b <= bandOf(e1); b++) buckets[b].push(i, j);
+  }
+
+  return (n, e) => {
+    if (n < minN || n > maxN || e < minE || e > maxE) return false;
+    const edges = buckets[bandOf(e)];
+    let inside = false;
+    for (let k = 0; k < edges.length; k += 2) {
+      const [ni, ei] = ring[edges[k]], [nj, ej] = ring[edges[k + 1]];
+      if ((ei > e) !== (ej > e) && n < (nj - ni) * (e - ei) / (ej - ei) + ni) inside = !inside;
+    }
+    return inside;
+  };
+}
+
 function computeCentroid(rawPoints) {
   let cx = 0, cy = 0, cz = 0;
   for (const [x, y, z] of rawPoints) { cx += x; cy += y; cz += z; }
@@ -143,22 +388,36 @@ function computeCentroid(rawPoints) {
   return { x: cx / n, y: cy / n, z: cz / n };
 }
 
-function parseCoords(text) {
-  const parts = text.trim().split(/\s+/).map(Number);
-  if (parts.length === 2) parts.push(0);
-  if (parts.some(isNaN)) return null;
-  return parts;
+/** Centroid / bbox of a flat [n, e, z, n, e, z, …] coordinate array. */
+function computeCentroidFlat(coords, count) {
+  let cx = 0, cy = 0, cz = 0;
+  for (let i = 0; i < count * 3; i += 3) { cx += coords[i]; cy += coords[i + 1]; cz += coords[i + 2]; }
+  return { x: cx / count, y: cy / count, z: cz / count };
+}
+
+function computeBBoxFlat(coords, count) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (let i = 0; i < count * 3; i += 3) {
+    const x = coords[i], y = coords[i + 1], z = coords[i + 2];
+    if (x < minX) minX = x; if (x > maxX) maxX = x;
+    if (y < minY) minY = y; if (y > maxY) maxY = y;
+    if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+  }
+  return {
+    min: { x: minX, y: minY, z: minZ },
+    max: { x: maxX, y: maxY, z: maxZ },
+    centroid: { x: (minX + maxX) / 2, y: (minY + maxY) / 2, z: (minZ + maxZ) / 2 }
+  };
 }
 
 /**
- * Parse a LandXML string into structured surface data.
- * @param {string} xmlString
+ * Interpret a LandXML document parsed by the streaming parser in parseWorker.js.
+ * @param {object} xmlDoc - anything exposing documentElement, querySelector[All], getAttribute, children, textContent
  * @param {string} fileName
- * @returns {{ surfaces, fileMeta, crsAttrs, xmlDoc }}
+ * @returns {{ surfaces, fileMeta, crsAttrs, styles }}
  */
-export function parseLandXML(xmlString, fileName) {
-  const parser = new DOMParser();
-  const xmlDoc = parser.parseFromString(xmlString, 'application/xml');
+export function parseLandXMLDocument(xmlDoc, fileName) {
 
   // File-level metadata
   const fileMeta = {};
@@ -213,6 +472,22 @@ export function parseLandXML(xmlString, fileName) {
   if (fileMeta['Datum'])              crsAttrs.Datum = fileMeta['Datum'];
   if (fileMeta['Coordinate System'])  crsAttrs['Coordinate System'] = fileMeta['Coordinate System'];
 
+  // Viewer styles embedded by exportFileXML — restored onto matching objects after load
+  const styles = [];
+  xmlDoc.querySelectorAll('Feature[code="JackshitViewer3D"] > Property[label="styles"]').forEach(prop => {
+    try {
+      for (const st of JSON.parse(prop.getAttribute('value') || '[]')) {
+        if (!st || typeof st.name !== 'string') continue;
+        styles.push({
+          name: st.name,
+          ...(typeof st.type === 'string' ? { type: st.type } : {}),
+          ...(/^#[0-9a-f]{6}$/i.test(st.color) ? { color: st.color } : {}),
+          ...(['solid', 'smooth', 'contour'].includes(st.displayMode) ? { displayMode: st.displayMode } : {}),
+        });
+      }
+    } catch (_) { /* malformed style block — ignore */ }
+  });
+
   // Parse surfaces
   const surfaces = [];
   const surfaceNodes = xmlDoc.querySelectorAll('Surface');
@@ -222,50 +497,103 @@ export function parseLandXML(xmlString, fileName) {
     const desc = surfaceNode.getAttribute('desc') || '';
     const surfType = surfaceNode.getAttribute('surfType') || '';
 
-    // Collect points
-    const pointsMap = new Map();
-    const rawPoints = [];
-    surfaceNode.querySelectorAll('P').forEach(node => {
-      const coords = parseCoords(node.textContent);
-      if (!coords) return;
-      pointsMap.set(node.getAttribute('id'), coords);
-      rawPoints.push(coords);
-    });
+    // Points and visible faces, pre-read by the streaming parser (absent without a Definition)
+    const tin = surfaceNode.tin;
+    if (!tin || tin.pointCount === 0) return;
+    const { coords, faces } = tin;
 
-    if (rawPoints.length === 0) return;
-
-    const centroid = computeCentroid(rawPoints);
+    const centroid = computeCentroidFlat(coords, tin.pointCount);
     const cx = centroid.x, cy = centroid.y, cz = centroid.z;
 
-    // Collect faces — vertices relative to centroid
-    const verts = [];
-    surfaceNode.querySelectorAll('Faces > F').forEach(node => {
-      if (node.getAttribute('i') === '1') return;
-      const ids = node.textContent.trim().split(/\s+/);
-      if (ids.length !== 3) return;
-      const coords = ids.map(id => pointsMap.get(id));
-      if (coords.includes(undefined)) return;
-      coords.forEach(([x, y, z]) => {
-        verts.push(x - cx, y - cy, z - cz);
-      });
+    // Source-data boundaries: a face is kept if its centroid lies inside an outer
+    // boundary (when any exist) and not inside a hide boundary, unless a show boundary re-exposes it.
+    const rings = { outer: [], hide: [], show: [] };
+    surfaceNode.querySelectorAll('SourceData Boundaries Boundary').forEach(bNode => {
+      const ring = parsePntList(bNode);
+      if (ring.length < 3) return;
+      const bndType = (bNode.getAttribute('bndType') || 'outer').toLowerCase();
+      if (bndType === 'outer' || bndType === 'dataclip') rings.outer.push(ringTester(ring));
+      else if (bndType === 'hide' || bndType === 'void') rings.hide.push(ringTester(ring));
+      else if (bndType === 'show') rings.show.push(ringTester(ring));
     });
+    const hasBoundaries = rings.outer.length + rings.hide.length + rings.show.length > 0;
+    const faceVisible = (n, e) => {
+      if (rings.outer.length && !rings.outer.some(inside => inside(n, e))) return false;
+      if (rings.hide.some(inside => inside(n, e))) return rings.show.some(inside => inside(n, e));
+      return true;
+    };
+
+    // Collect faces as indices into the points they use — vertices relative to centroid
+    const remap = new Int32Array(tin.pointCount).fill(-1);
+    let index = new Uint32Array(tin.faceCount * 3);
+    let iOff = 0, used = 0, clippedFaces = 0;
+    for (let f = 0; f < tin.faceCount * 3; f += 3) {
+      const a = faces[f] * 3, b = faces[f + 1] * 3, c = faces[f + 2] * 3;
+      if (hasBoundaries) {
+        const fn = (coords[a] + coords[b] + coords[c]) / 3;
+        const fe = (coords[a + 1] + coords[b + 1] + coords[c + 1]) / 3;
+        if (!faceVisible(fn, fe)) { clippedFaces++; continue; }
+      }
+      for (let j = 0; j < 3; j++) {
+        const p = faces[f + j];
+        if (remap[p] === -1) remap[p] = used++;
+        index[iOff++] = remap[p];
+      }
+    }
+
+    if (iOff === 0) return;
 
-    if (verts.length === 0) return;
+    const vertexBuffer = new Float32Array(used * 3);
+    for (let p = 0; p < tin.pointCount; p++) {
+      const v = remap[p] * 3;
+      if (v < 0) continue;
+      vertexBuffer[v]     = coords[p * 3]     - cx;
+      vertexBuffer[v + 1] = coords[p * 3 + 1] - cy;
+      vertexBuffer[v + 2] = coords[p * 3 + 2] - cz;
+    }
+    const indexBuffer = iOff < index.length ? index.slice(0, iOff) : index;
+    index = null;
+    const bbox = computeBBoxFlat(coords, tin.pointCount);
 
-    const vertexBuffer = new Float32Array(verts);
-    const bbox = computeBBox(rawPoints);
+    // Breaklines — overlay polylines in the surface's own centroid-relative space.
+    // 2D breaklines take their elevation from the surface they belong to.
+    let breaklineBuffer = null, breaklineCount = 0;
+    const brkNodes = surfaceNode.querySelectorAll('SourceData Breaklines Breakline');
+    if (brkNodes.length > 0) {
+      const sampleSelf = buildSurfaceSampler([{ type: 'Surface', vertexBuffer, indexBuffer, centroid }]);
+      const segs = [];
+      brkNodes.forEach(brkNode => {
+        const pts = parsePntList(brkNode)
+          .map(p => [p[0], p[1], p.length >= 3 ? p[2] : (sampleSelf?.(p[0], p[1]) ?? cz)]);
+        if (pts.length < 2) return;
+        breaklineCount++;
+        segs.push(polylineToLineBuffer(pts, centroid));
+      });
+      if (segs.length > 0) {
+        breaklineBuffer = new Float32Array(segs.reduce((n, b) => n + b.length, 0));
+        let off = 0;
+        for (const b of segs) { breaklineBuffer.set(b, off); off += b.length; }
+      }
+    }
 
     surfaces.push({
       name,
       type: 'Surface',
       vertexBuffer,
+      indexBuffer,
+      ...(breaklineBuffer ? { breaklineBuffer } : {}),
       centroid,
       rawBBox: bbox,
       meta: {
         description: desc,
         'Surface Type': surfType,
-        vertices: vertexBuffer.length / 3,
-        triangles: vertexBuffer.length / 9,
+        vertices: used,
+        triangles: indexBuffer.length / 3,
+        ...(hasBoundaries ? {
+          'Boundaries': Object.entries(rings).filter(([, r]) => r.length).map(([t, r]) => `${r.length} ${t}`).join(', '),
+          'Faces Clipped': clippedFaces,
+        } : {}),
+        ...(breaklineCount ? { 'Breaklines': breaklineCount } : {}),
         'Easting Range':   `${bbox.min.y.toFixed(2)} - ${bbox.max.y.toFixed(2)}`,
         'Northing Range':  `${bbox.min.x.toFixed(2)} - ${bbox.max.x.toFixed(2)}`,
         'Elevation Range': `${bbox.min.z.toFixed(2)} - ${bbox.max.z.toFixed(2)}`,
@@ -286,19 +614,64 @@ export function parseLandXML(xmlString, fileName) {
   };
   const _toM = (u) => _UNIT_M[u.toLowerCase().replace(/[\s_-]/g, '')] ?? 1;
   const _linearUnit   = (_metricEl?.getAttribute('linearUnit')   || 'meter');
-  const _diamUnitAttr = (_metricEl?.getAttribute('diameterUnit') || '');
   const _linearM = _toM(_linearUnit);
-  const _diamM   = _diamUnitAttr ? _toM(_diamUnitAttr) : null;
-  const diamToLinear = (d) => {
-    if (!d || isNaN(d) || d <= 0) return 0;
-    if (_diamM !== null) return d * _diamM / _linearM;   // exact conversion
-    // heuristic: value suspiciously large? assume same "small" unit (inches in foot context, mm in meter)
-    const threshold = _linearUnit.toLowerCase().includes('foot') ? 20 : 10;
-    if (d > threshold) {
-      const guessM = _linearUnit.toLowerCase().includes('foot') ? 0.0254 : 0.001;
-      return d * guessM / _linearM;
+  // Square of the linear unit, abbreviated, for computed areas
+  const _AREA_LABEL = {
+    meter: 'm²', metre: 'm²', millimeter: 'mm²', millimetre: 'mm²', kilometer: 'km²', kilometre: 'km²',
+    foot: 'sq ft', feet: 'sq ft', internationalfoot: 'sq ft', ussurveyfoot: 'sq US ft',
+    inch: 'sq in', inches: 'sq in', yard: 'sq yd',
+  };
+  const _areaLabel = _AREA_LABEL[_linearUnit.toLowerCase().replace(/[\s_-]/g, '')] ?? `sq ${_linearUnit}`;
+  // Build a converter for one of the Units "small dimension" attributes (diameterUnit, widthUnit, heightUnit)
+  const makeDimConverter = (unitAttrName) => {
+    const unitAttr = _metricEl?.getAttribute(unitAttrName) || '';
+    const unitM    = unitAttr ? _toM(unitAttr) : null;
+    return (d) => {
+      if (!d || isNaN(d) || d <= 0) return 0;
+      if (unitM !== null) return d * unitM / _linearM;   // exact conversion
+      // heuristic: value suspiciously large? assume same "small" unit (inches in foot context, mm in meter)
+      const threshold = _linearUnit.toLowerCase().includes('foot') ? 20 : 10;
+      if (d > threshold) {
+        const guessM = _linearUnit.toLowerCase().includes('foot') ? 0.0254 : 0.001;
+        return d * guessM / _linearM;
+      }
+      return d;
+    };
+  };
+  const diamToLinear   = makeDimConverter('diameterUnit');
+  const widthToLinear  = makeDimConverter('widthUnit');
+  const heightToLinear = makeDimConverter('heightUnit');
+
+  /**
+   * Outer cross-section of a Pipe from its shape child (CircPipe, RectPipe, EggPipe, ElliPipe).
+   * Returns { shape, width, height, radiusOut } in linear units; radiusOut is half the larger
+   * dimension so radius-based consumers still get a sensible envelope.
+   */
+  const pipeSection = (pipeNode) => {
+    const attr = (el, name) => parseFloat(el.getAttribute(name));
+    const rect = pipeNode.querySelector('RectPipe');
+    const egg  = pipeNode.querySelector('EggPipe');
+    const elli = pipeNode.querySelector('ElliPipe');
+    const circ = pipeNode.querySelector('CircPipe');
+    const unitOf = (name) => _metricEl?.getAttribute(name) ? ` ${_metricEl.getAttribute(name)}` : '';
+    let shape = 'circ', width = NaN, height = NaN, sizeLabel = '';
+    if (rect) {
+      shape = 'rect'; width = widthToLinear(attr(rect, 'width')); height = heightToLinear(attr(rect, 'height'));
+      sizeLabel = `${rect.getAttribute('width')} × ${rect.getAttribute('height')}${unitOf('widthUnit')} (W × H)`;
+    } else if (egg || elli) {
+      const el = egg || elli;
+      shape = egg ? 'egg' : 'elli'; width = widthToLinear(attr(el, 'span')); height = heightToLinear(attr(el, 'height'));
+      sizeLabel = `${el.getAttribute('span')} × ${el.getAttribute('height')}${unitOf('widthUnit')} (span × H)`;
+    } else if (circ) {
+      width = height = diamToLinear(attr(circ, 'diameter'));
+      if (circ.getAttribute('diameter')) sizeLabel = `Ø ${circ.getAttribute('diameter')}${unitOf('diameterUnit')}`;
+    }
+    const material = (rect || egg || elli || circ)?.getAttribute('material') || '';
+    if (!(width > 0) || !(height > 0)) {
+      if (shape === 'circ' || !(width > 0 || height > 0)) return { shape: 'circ', width: 0.3, height: 0.3, radiusOut: 0.15, sizeLabel, material };
+      width = height = Math.max(width || 0, height || 0);   // one dimension missing: square it up
     }
-    return d;
+    return { shape, width, height, radiusOut: Math.max(width, height) / 2, sizeLabel, material };
   };
 
   // ── Parse Pipe Networks ──────────────────────────────────────────────────────
@@ -323,11 +696,29 @@ export function parseLandXML(xmlString, fileName) {
         if (ref && !isNaN(elev)) { inverts[ref] = inverts[ref] || {}; inverts[ref][dir] = elev; }
       });
       const circStruct = s.querySelector('CircStruct');
+      const rectStruct = s.querySelector('RectStruct');
       const structDiam = circStruct ? parseFloat(circStruct.getAttribute('diameter')) : NaN;
-      const radiusOut  = isNaN(structDiam) ? 0.5 : diamToLinear(structDiam) / 2;
+      let radiusOut    = isNaN(structDiam) ? 0.5 : diamToLinear(structDiam) / 2;
+      let shape = 'circ', length = 0, width = 0;
+      if (rectStruct) {
+        length = widthToLinear(parseFloat(rectStruct.getAttribute('length')));
+        width  = widthToLinear(parseFloat(rectStruct.getAttribute('width')));
+        if (length > 0 || width > 0) {
+          shape  = 'rect';
+          length = length || width; width = width || length;
+          radiusOut = Math.max(length, width) / 2;
+        }
+      }
       const desc       = (s.getAttribute('desc') || '').toLowerCase();
       const isNull     = desc.includes('null');
-      structMap.set(sName, { northing: centerPt[0], easting: centerPt[1], elevRim, elevSump, inverts, radiusOut, isNull });
+      const material   = (circStruct || rectStruct)?.getAttribute('material') || '';
+      const sizeLabel  = shape === 'rect'
+        ? `${rectStruct.getAttribute('length') || '?'} × ${rectStruct.getAttribute('width') || '?'} (L × W)`
+        : (circStruct?.getAttribute('diameter') ? `Ø ${circStruct.getAttribute('diameter')}` : '');
+      structMap.set(sName, {
+        northing: centerPt[0], easting: centerPt[1], elevRim, elevSump, inverts, radiusOut, shape, length, width, isNull,
+        desc: s.getAttribute('desc') || '', material, sizeLabel,
+      });
     });
 
     // ── Pipe segments ───────────────────────────────────────────────────────────
@@ -351,15 +742,40 @@ export function parseLandXML(xmlString, fileName) {
       const ez = getZ(eStruct, pipeName, 'in');
       if (isNaN(sz) || isNaN(ez)) return;
 
-      const circPipe  = pipeNode.querySelector('CircPipe');
-      const pipeDiam  = circPipe ? parseFloat(circPipe.getAttribute('diameter')) : NaN;
-      const radiusOut = isNaN(pipeDiam) ? 0.15 : diamToLinear(pipeDiam) / 2;
+      const { sizeLabel, material, ...section } = pipeSection(pipeNode);
+      const hLen   = Math.hypot(eStruct.northing - sStruct.northing, eStruct.easting - sStruct.easting);
+      const slope  = hLen > 1e-9 ? (sz - ez) / hLen : 0;
+      const refS   = pipeNode.getAttribute('refStart'), refE = pipeNode.getAttribute('refEnd');
       pipeSegs.push({
         start:     [sStruct.northing, sStruct.easting, sz],
         end:       [eStruct.northing, eStruct.easting, ez],
-        radiusOut,
+        ...section,
         name:      pipeName,
+        // Flow runs downhill by invert; a flat pipe keeps its start → end orientation
+        flowReversed: ez > sz,
+        meta: {
+          'Pipe':            pipeName || '—',
+          ...(pipeNode.getAttribute('desc') ? { 'Description': pipeNode.getAttribute('desc') } : {}),
+          'Shape':           SHAPE_LABELS[section.shape] || section.shape,
+          ...(sizeLabel ? { 'Size': sizeLabel } : {}),
+          ...(material ? { 'Material': material } : {}),
+          'Start Structure': refS,
+          'End Structure':   refE,
+          'Start Invert':    sz.toFixed(3),
+          'End Invert':      ez.toFixed(3),
+          'Length (2D)':     `${hLen.toFixed(2)} ${_linearUnit}`,
+          ...(pipeNode.getAttribute('length') ? { 'Length (file)': pipeNode.getAttribute('length') } : {}),
+          'Slope':           `${(slope * 100).toFixed(3)}%`,
+          ...(pipeNode.getAttribute('slope') ? { 'Slope (file)': pipeNode.getAttribute('slope') } : {}),
+          'Flow':            ez > sz ? `${refE} → ${refS}` : `${refS} → ${refE}`,
+        },
       });
+      // Rectangular structures are oriented along the first pipe that connects to them
+      for (const st of [sStruct, eStruct]) {
+        if (st.shape === 'rect' && st.rotation === undefined) {
+          st.rotation = Math.atan2(eStruct.easting - sStruct.easting, eStruct.northing - sStruct.northing);
+        }
+      }
     });
 
     // ── Structure segments ──────────────────────────────────────────────────────
@@ -369,7 +785,28 @@ export function parseLandXML(xmlString, fileName) {
       const zRim  = isNaN(s.elevRim)  ? NaN : s.elevRim;
       const zSump = isNaN(s.elevSump) ? (!isNaN(zRim) ? zRim - 2 : NaN) : s.elevSump;
       if (isNaN(zSump) || isNaN(zRim) || zRim <= zSump) return;
-      structSegs.push({ northing: s.northing, easting: s.easting, zSump, zRim, radiusOut: s.radiusOut, name: sName });
+      const invRows = {};
+      for (const [ref, dirs] of Object.entries(s.inverts)) {
+        for (const [dir, elev] of Object.entries(dirs)) invRows[`Invert ${ref}${dir !== 'null' ? ` (${dir})` : ''}`] = elev.toFixed(3);
+      }
+      structSegs.push({
+        northing: s.northing, easting: s.easting, zSump, zRim, radiusOut: s.radiusOut, name: sName,
+        shape: s.shape,
+        ...(s.shape === 'rect' ? { length: s.length, width: s.width, rotation: s.rotation ?? 0 } : {}),
+        meta: {
+          'Structure':   sName,
+          ...(s.desc ? { 'Description': s.desc } : {}),
+          'Shape':       SHAPE_LABELS[s.shape] || s.shape,
+          ...(s.sizeLabel ? { 'Size': s.sizeLabel } : {}),
+          ...(s.material ? { 'Material': s.material } : {}),
+          'Rim':         zRim.toFixed(3),
+          'Sump':        zSump.toFixed(3),
+          'Depth':       (zRim - zSump).toFixed(3),
+          'Northing':    s.northing.toFixed(3),
+          'Easting':     s.easting.toFixed(3),
+          ...invRows,
+        },
+      });
     });
 
     // ── Emit one combined entry per network (pipes + structures together) ───────
@@ -392,6 +829,8 @@ export function parseLandXML(xmlString, fileName) {
           'Network Type':    netType || '—',
           'Pipe Count':      pipeSegs.length,
           'Structure Count': structSegs.length,
+          ...shapeCountRow('Pipe Shapes', pipeSegs),
+          ...shapeCountRow('Structure Shapes', structSegs),
           'Easting Range':   `${b.min.y.toFixed(2)} – ${b.max.y.toFixed(2)}`,
           'Northing Range':  `${b.min.x.toFixed(2)} – ${b.max.x.toFixed(2)}`,
           'Elevation Range': `${b.min.z.toFixed(2)} – ${b.max.z.toFixed(2)}`,
@@ -418,13 +857,17 @@ export function parseLandXML(xmlString, fileName) {
     if (pts2D.length < 2) return;
 
     const profAlignNode = alNode.querySelector('ProfAlign');
-    const elevFn        = profAlignNode ? buildProfileFn(profAlignNode) : null;
+    const profile       = profAlignNode ? buildProfileFn(profAlignNode) : null;
+    const elevFn        = profile?.elevAt ?? null;
 
     let pts3D;
     if (elevFn) {
+      // Sample densely enough that vertical curves on long horizontal tangents keep their shape
+      const minCurve = Math.min(...profile.curves.map(c => c.length));
+      const profPts  = isFinite(minCurve) ? densifyPolyline(pts2D, minCurve / 16) : pts2D;
       let cumDist = staStart;
-      pts3D = pts2D.map((p, i) => {
-        if (i > 0) cumDist += Math.hypot(p[0] - pts2D[i - 1][0], p[1] - pts2D[i - 1][1]);
+      pts3D = profPts.map((p, i) => {
+        if (i > 0) cumDist += Math.hypot(p[0] - profPts[i - 1][0], p[1] - profPts[i - 1][1]);
         return [p[0], p[1], elevFn(cumDist)];
       });
     } else {
@@ -436,10 +879,13 @@ export function parseLandXML(xmlString, fileName) {
     const lineBuffer = polylineToLineBuffer(pts3D, alCentroid);
     if (lineBuffer.length < 6) return;
 
+    const xs = parseCrossSects(alNode, pts2D, staStart, alCentroid);
+
     surfaces.push({
       name:       alName,
       type:       'Alignment',
       lineBuffer,
+      ...(xs ? { crossSections: xs } : {}),
       centroid:   alCentroid,
       rawBBox:    alBbox,
       meta: {
@@ -450,6 +896,9 @@ export function parseLandXML(xmlString, fileName) {
         'Easting Range':  `${alBbox.min.y.toFixed(2)} – ${alBbox.max.y.toFixed(2)}`,
         'Northing Range': `${alBbox.min.x.toFixed(2)} – ${alBbox.max.x.toFixed(2)}`,
         ...(elevFn ? { 'Elevation Range': `${alBbox.min.z.toFixed(2)} – ${alBbox.max.z.toFixed(2)}` } : {}),
+        ...(profile?.curves.length ? { 'Vertical Curves': profile.curves.length } : {}),
+        ...(xs ? { 'Cross Sections': xs.meta['Sections'] } : {}),
+        ...verticalCurveRows(profile?.curves ?? []),
       }
     });
   });
@@ -492,5 +941,256 @@ export function parseLandXML(xmlString, fileName) {
     });
   });
 
-  return { ok: true, surfaces, fileMeta, crsAttrs, xmlDoc };
+  // ── Parse Parcels ────────────────────────────────────────────────────────────
+  // Closed outlines draped onto the file's TIN surfaces where they cover the parcel,
+  // otherwise at the CoordGeom's own Z or the fallback elevation.
+  const parcelNodes = xmlDoc.querySelectorAll('Parcel');
+  const sampleElev  = parcelNodes.length > 0 ? buildSurfaceSampler(surfaces) : null;
+
+  parcelNodes.forEach((pNode, pi) => {
+    const pName  = pNode.getAttribute('name') || `Parcel ${pi + 1}`;
+    const cgNode = [...pNode.children].find(c => c.localName === 'CoordGeom');
+    if (!cgNode) return;
+
+    const ring = tessellateCoordGeom(cgNode);
+    if (ring.length > 1 && Math.hypot(ring[0][0] - ring[ring.length - 1][0], ring[0][1] - ring[ring.length - 1][1]) < 1e-6) ring.pop();
+    if (ring.length < 3) return;
+
+    const { area, perimeter } = polygonAreaPerimeter(ring);
+    const closed = [...ring, ring[0]];
+    const hasZ   = ring.every(p => p.length >= 3 && !isNaN(p[2]));
+
+    let pts3D, draped = false;
+    if (sampleElev) {
+      const dense = densifyPolyline(closed, perimeter / 400);
+      const zs    = dense.map(p => sampleElev(p[0], p[1]));
+      if (zs.some(z => z !== null)) {
+        draped = true;
+        pts3D  = dense.map((p, i) => [p[0], p[1], zs[i] ?? (hasZ ? p[2] : fallbackZ)]);
+      }
+    }
+    if (!pts3D) pts3D = closed.map(p => [p[0], p[1], hasZ ? p[2] : fallbackZ]);
+
+    const pcCentroid = computeCentroid(pts3D);
+    const pcBbox     = computeBBox(pts3D);
+    const lineBuffer = polylineToLineBuffer(pts3D, pcCentroid);
+
+    const attrs = {};
+    for (const attr of pNode.attributes) {
+      attrs[attr.name.charAt(0).toUpperCase() + attr.name.slice(1)] = attr.value;
+    }
+    const isFoot   = _linearUnit.toLowerCase().includes('foot') || _linearUnit.toLowerCase().includes('feet');
+    const areaConv = isFoot ? `${(area / 43560).toFixed(3)} ac` : `${(area / 10000).toFixed(4)} ha`;
+
+    surfaces.push({
+      name:       pName,
+      type:       'Parcel',
+      lineBuffer,
+      centroid:   pcCentroid,
+      rawBBox:    pcBbox,
+      meta: {
+        ...attrs,
+        'Computed Area':      `${area.toFixed(2)} ${_areaLabel} (${areaConv})`,
+        'Computed Perimeter': `${perimeter.toFixed(2)} ${_linearUnit}`,
+        'Vertices':           ring.length,
+        'Elevation':          draped ? 'Draped on surface' : (hasZ ? 'From geometry' : 'Fallback'),
+        'Easting Range':      `${pcBbox.min.y.toFixed(2)} – ${pcBbox.max.y.toFixed(2)}`,
+        'Northing Range':     `${pcBbox.min.x.toFixed(2)} – ${pcBbox.max.x.toFixed(2)}`,
+      }
+    });
+  });
+
+  // ── Parse CgPoints (COGO points) ─────────────────────────────────────────────
+  // One Points entry per <CgPoints> collection; nested collections are parsed on their own.
+  // pntRef points reuse the coordinates of the named point they reference.
+  const cgByName = new Map();
+  xmlDoc.querySelectorAll('CgPoint').forEach(node => {
+    const coords = parsePoint2D(node.textContent);
+    if (coords && node.getAttribute('name')) cgByName.set(node.getAttribute('name'), coords);
+  });
+
+  xmlDoc.querySelectorAll('CgPoints').forEach((cgpNode, gi) => {
+    const grpName = cgpNode.getAttribute('name') || `Points ${gi + 1}`;
+    const points  = [];
+    for (const node of cgpNode.children) {
+      if (node.localName !== 'CgPoint') continue;
+      const ref    = node.getAttribute('pntRef');
+      const coords = parsePoint2D(node.textContent) || (ref ? cgByName.get(ref) : null);
+      if (!coords) continue;
+      const hasZ = coords.length >= 3 && !isNaN(coords[2]);
+      points.push({
+        name: node.getAttribute('name') || ref || `${points.length + 1}`,
+        code: node.getAttribute('code') || '',
+        desc: node.getAttribute('desc') || '',
+        n: coords[0],
+        e: coords[1],
+        z: hasZ ? coords[2] : fallbackZ,
+        hasZ,
+      });
+    }
+    if (points.length === 0) return;
+
+    const rawPts     = points.map(p => [p.n, p.e, p.z]);
+    const ptCentroid = computeCentroid(rawPts);
+    const ptBbox     = computeBBox(rawPts);
+    const codes      = [...new Set(points.map(p => p.code).filter(Boolean))];
+
+    surfaces.push({
+      name:     grpName,
+      type:     'Points',
+      points,
+      centroid: ptCentroid,
+      rawBBox:  ptBbox,
+      meta: {
+        ...(cgpNode.getAttribute('desc') ? { Description: cgpNode.getAttribute('desc') } : {}),
+        'Point Count':     points.length,
+        ...(codes.length ? { 'Codes': codes.join(', ') } : {}),
+        'Easting Range':   `${ptBbox.min.y.toFixed(2)} – ${ptBbox.max.y.toFixed(2)}`,
+        'Northing Range':  `${ptBbox.min.x.toFixed(2)} – ${ptBbox.max.x.toFixed(2)}`,
+        ...pointElevationRows(points),
+        ...pointAttributeRows(points),
+      }
+    });
+  });
+
+  return { ok: true, surfaces, fileMeta, crsAttrs, styles };
+}
+
+/**
+ * Locate a station on a 2D alignment polyline.
+ * Returns { point: [N, E], tangent: [dN, dE] (unit) } or null if the station is off the alignment.
+ */
+function pointAtStation(pts2D, staStart, station) {
+  let cum = staStart;
+  for (let i = 1; i < pts2D.length; i++) {
+    const a = pts2D[i - 1], b = pts2D[i];
+    const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    if (len < 1e-12) continue;
+    if (station <= cum + len + 1e-6) {
+      if (station < cum - 1e-6) return null;
+      const t = Math.max(0, (station - cum) / len);
+      return {
+        point:   [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t],
+        tangent: [(b[0] - a[0]) / len, (b[1] - a[1]) / len],
+      };
+    }
+    cum += len;
+  }
+  return null;
+}
+
+/**
+ * Read an Alignment's <CrossSects> into one line buffer (relative to the alignment centroid).
+ * Each CrossSectSurf's PntList2D is "offset elev" pairs; negative offsets are left of the
+ * direction of travel, positive right. surfIds tags every vertex with its surface index
+ * into surfNames so the renderer can colour sections per surface.
+ * Returns null when the alignment has no usable cross sections.
+ */
+function parseCrossSects(alNode, pts2D, staStart, centroid) {
+  const sectNodes = alNode.querySelectorAll('CrossSects > CrossSect');
+  if (sectNodes.length === 0) return null;
+
+  const surfNames = [];
+  const buffers = [], ids = [];
+  let count = 0, staMin = Infinity, staMax = -Infinity;
+  sectNodes.forEach(sectNode => {
+    const sta = parseFloat(sectNode.getAttribute('sta'));
+    const loc = isNaN(sta) ? null : pointAtStation(pts2D, staStart, sta);
+    if (!loc) return;
+    const right = [-loc.tangent[1], loc.tangent[0]];
+    let drawn = false;
+    sectNode.querySelectorAll('CrossSectSurf').forEach(surfNode => {
+      const pts = parsePntList(surfNode)
+        .map(([off, elev]) => [loc.point[0] + right[0] * off, loc.point[1] + right[1] * off, elev]);
+      if (pts.length < 2) return;
+      const surfName = surfNode.getAttribute('name') || 'Section';
+      let sid = surfNames.indexOf(surfName);
+      if (sid === -1) { sid = surfNames.length; surfNames.push(surfName); }
+      const buf = polylineToLineBuffer(pts, centroid);
+      buffers.push(buf);
+      ids.push({ sid, n: buf.length / 3 });
+      drawn = true;
+    });
+    if (!drawn) return;
+    count++;
+    if (sta < staMin) staMin = sta;
+    if (sta > staMax) staMax = sta;
+  });
+  if (count === 0) return null;
+
+  const buffer  = new Float32Array(buffers.reduce((n, b) => n + b.length, 0));
+  const surfIds = new Uint16Array(buffer.length / 3);
+  let off = 0, vOff = 0;
+  buffers.forEach((b, i) => {
+    buffer.set(b, off); off += b.length;
+    surfIds.fill(ids[i].sid, vOff, vOff + ids[i].n); vOff += ids[i].n;
+  });
+
+  return {
+    buffer,
+    surfIds,
+    surfNames,
+    meta: {
+      'Sections':      count,
+      'Station Range': `${staMin.toFixed(2)} – ${staMax.toFixed(2)}`,
+      'Surfaces':      surfNames.join(', '),
+    },
+  };
+}
+
+const SHAPE_LABELS = { circ: 'Circular', rect: 'Rectangular', egg: 'Egg', elli: 'Elliptical' };
+
+/** "Circular 12, Rectangular 3" summary row — omitted when everything is circular. */
+function shapeCountRow(label, segs) {
+  const counts = {};
+  for (const s of segs) counts[s.shape] = (counts[s.shape] || 0) + 1;
+  if (Object.keys(counts).every(k => k === 'circ')) return {};
+  return { [label]: Object.entries(counts).map(([k, n]) => `${SHAPE_LABELS[k] || k} ${n}`).join(', ') };
+}
+
+/** One metadata row per vertical curve: length, grades in/out (%) and K. */
+function verticalCurveRows(curves) {
+  const rows = {};
+  const pct = (g) => `${g >= 0 ? '+' : ''}${g.toFixed(3)}%`;
+  curves.forEach((c, i) => {
+    const len = c.type === 'UnsymParaCurve'
+      ? `L=${c.lengthIn.toFixed(2)}+${c.lengthOut.toFixed(2)}`
+      : `L=${c.length.toFixed(2)}`;
+    const k = isFinite(c.K) ? c.K.toFixed(1) : '∞';
+    rows[`VC ${i + 1} @ Sta ${c.sta.toFixed(2)}`] = `${len}, g1 ${pct(c.gIn)}, g2 ${pct(c.gOut)}, K=${k}`;
+  });
+  return rows;
+}
+
+/**
+ * Per-point metadata rows keyed by point name: "code — desc  (N, E, Z)".
+ * Capped so huge collections don't flood the metadata panel.
+ */
+const MAX_POINT_ROWS = 500;
+export function pointAttributeRows(points) {
+  const rows = {};
+  for (const p of points.slice(0, MAX_POINT_ROWS)) {
+    const label = [p.code, p.desc].filter(Boolean).join(' — ');
+    const z     = p.hasZ ? p.z.toFixed(3) : '—';
+    rows[`Pt ${p.name}`] = `${label ? label + '  ' : ''}(${p.n.toFixed(3)}, ${p.e.toFixed(3)}, ${z})`;
+  }
+  if (points.length > MAX_POINT_ROWS) rows['…'] = `${points.length - MAX_POINT_ROWS} more points not listed`;
+  return rows;
+}
+
+/**
+ * 'Elevation Range' over the points that carry an elevation. Points without one are placed at
+ * a stand-in height (0, or the file's fallback) and counted separately, so they don't skew the range.
+ */
+export function pointElevationRows(points) {
+  let min = Infinity, max = -Infinity, missing = 0, placedAt = 0;
+  for (const p of points) {
+    if (!p.hasZ) { missing++; placedAt = p.z; continue; }
+    if (p.z < min) min = p.z;
+    if (p.z > max) max = p.z;
+  }
+  return {
+    'Elevation Range': missing === points.length ? '—' : `${min.toFixed(2)} – ${max.toFixed(2)}`,
+    ...(missing ? { 'No Elevation': `${missing} point${missing === 1 ? '' : 's'} (shown at ${placedAt.toFixed(2)})` } : {}),
+  };
 }
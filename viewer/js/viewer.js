@@ -9,6 +9,8 @@ import { initUpload } from './modules/uploadHandler.js';
 import { initDataTree, onObjectJumpTo } from './modules/dataTree.js';
 import { initSettings, shouldConfirmLeave } from './modules/settingsManager.js';
 import { initFileHandler } from './modules/fileHandler.js';
+import { initPicking } from './modules/picking.js';
+import { updateDEMLod } from './modules/demLod.js';
 import { getFiles, addFile } from './modules/sceneData.js';
 
 // CRS imports
@@ -58,6 +60,7 @@ initUpload();
 initDataTree();
 initSettings(controls, camera, renderer, scene);
 initFileHandler(scene, controls, camera);
+initPicking(scene, camera, controls, renderer.domElement);
 
 // ── Warn before leaving with loaded data ─────────────
 const isSample = new URLSearchParams(window.location.search).has('sample');
@@ -135,6 +138,7 @@ function updateCoords() {
 // ── Animation loop ──────────────────────────────────
 function animate() {
   requestAnimationFrame(animate);
+  updateDEMLod(camera);
   renderer.render(scene, camera);
   controls.update();
   updateCoords();